@@ -0,0 +1,81 @@
+// Service Worker für den Offline-Betrieb in der Halle.
+//
+// Die Startseite kommt, wenn möglich, frisch aus dem Netz (so kommt eine neue
+// Version an) und sonst aus dem Cache. Die von ihr eingebundenen Skripte und
+// Styles haben einen Hash im Namen; sie werden gleich mitgeladen, danach nur
+// noch aus dem Cache bedient. Dateien alter Versionen werden dabei aufgeräumt.
+
+const CACHE = "vereinsapp-v1";
+const START = "./";
+const STATIC = ["manifest.webmanifest", "icon.svg", "icon-192.png", "icon-512.png"];
+const NETWORK_TIMEOUT_MS = 4000;
+
+function assetUrls(html) {
+  const urls = [...html.matchAll(/(?:src|href)="([^"]+)"/g)].map((m) => new URL(m[1], self.registration.scope).href);
+  return urls.filter((url) => url.startsWith(self.registration.scope) && url.includes("/assets/"));
+}
+
+// fehlende Dateien der aktuellen Version laden, alte entfernen
+async function syncAssets(cache, html) {
+  const wanted = new Set(assetUrls(html));
+  const cached = await cache.keys();
+  const have = new Set(cached.map((req) => req.url));
+  await cache.addAll([...wanted].filter((url) => !have.has(url)));
+  await Promise.all(
+    cached.filter((req) => req.url.includes("/assets/") && !wanted.has(req.url)).map((req) => cache.delete(req))
+  );
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(CACHE);
+      await cache.addAll([START, ...STATIC]);
+      const start = await cache.match(START);
+      await syncAssets(cache, await start.text());
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const names = await caches.keys();
+      await Promise.all(names.filter((name) => name !== CACHE).map((name) => caches.delete(name)));
+      await self.clients.claim();
+    })()
+  );
+});
+
+async function startPage(event) {
+  const cache = await caches.open(CACHE);
+  const network = fetch(event.request).then(async (response) => {
+    if (response.ok) {
+      await cache.put(START, response.clone());
+      event.waitUntil(response.clone().text().then((html) => syncAssets(cache, html)).catch(() => {}));
+    }
+    return response;
+  });
+  // schlechter Empfang: nicht ewig warten, wenn es eine gespeicherte Fassung gibt
+  const timeout = new Promise((resolve) => setTimeout(resolve, NETWORK_TIMEOUT_MS));
+  const first = await Promise.race([network.catch(() => null), timeout]);
+  if (first) return first;
+  return (await cache.match(START)) ?? network;
+}
+
+async function cached(request) {
+  const cache = await caches.open(CACHE);
+  const hit = await cache.match(request);
+  if (hit) return hit;
+  const response = await fetch(request);
+  if (response.ok && response.type === "basic") await cache.put(request, response.clone());
+  return response;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || !request.url.startsWith(self.registration.scope)) return;
+  if (request.mode === "navigate") event.respondWith(startPage(event));
+  else event.respondWith(cached(request));
+});
@@ -0,0 +1,201 @@
+// Vereinsserver für den Abgleich mehrerer Geräte im Hallen-WLAN.
+//
+//   node server/sync-server.js            (Port 8787, Daten in ./vereinsapp-sync.json)
+//   PORT=9000 SYNC_DATA=/pfad/daten.json node server/sync-server.js
+//   SYNC_CODE=geheim SYNC_ORIGINS=https://verein.example node server/sync-server.js
+//
+// In der App unter „Geräte abgleichen“ ws://<IP des Laptops>:8787 und den
+// Zugangscode eintragen, den der Server beim Start anzeigt. Ohne SYNC_CODE
+// wird einmal ein Code erzeugt und mit den Daten gespeichert. Browser dürfen
+// sich nur von Seiten aus dem eigenen Netz (localhost, 192.168.…, 10.…)
+// oder aus SYNC_ORIGINS verbinden.
+//
+// Der Server kennt nur Datensätze (key → value) mit einer fortlaufenden
+// Revision. Eine Änderung wird übernommen, wenn sie auf der aktuellen
+// Revision beruht oder denselben Inhalt hat; sonst bekommt das Gerät die
+// gültige Fassung als Konflikt zurück (wer zuerst speichert, gewinnt).
+// Neue Begegnungen, Spieltage und TTR-Einträge einer Rangliste werden nur
+// zusammen mit dem Session-Datensatz auf aktuellem Stand angenommen; der
+// bekommt dabei eine neue Revision. So gewinnt auch beim gleichzeitigen
+// Auslosen oder Abschließen auf zwei Geräten nur eines, und nach einem
+// Konflikt bleiben keine Begegnungen ohne passende Runde zurück.
+// Gelöschte Datensätze bleiben als value: null stehen, damit Geräte, die
+// offline waren, das Löschen noch mitbekommen.
+
+import { createHash, randomInt, randomUUID, timingSafeEqual } from "node:crypto";
+import { readFileSync, renameSync, writeFileSync } from "node:fs";
+import { createServer } from "node:http";
+import { networkInterfaces } from "node:os";
+import { needsSession } from "../src/sync.js";
+import { acceptWebSocket } from "./websocket.js";
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = process.env.SYNC_DATA || "vereinsapp-sync.json";
+const SAVE_DELAY_MS = 1000;
+const ORIGINS = (process.env.SYNC_ORIGINS ?? "")
+  .split(",")
+  .map((o) => o.trim())
+  .filter(Boolean);
+const CODE_CHARS = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 8;
+
+function newCode() {
+  return Array.from({ length: CODE_LENGTH }, () => CODE_CHARS[randomInt(CODE_CHARS.length)]).join("");
+}
+
+function load() {
+  try {
+    const raw = JSON.parse(readFileSync(DATA_FILE, "utf8"));
+    return { epoch: raw.epoch, rev: raw.rev, code: raw.code ?? newCode(), records: new Map(Object.entries(raw.records)) };
+  } catch {
+    // neue Datei: neue Epoche, damit Geräte ihren Stand komplett hochladen
+    return { epoch: randomUUID(), rev: 0, code: newCode(), records: new Map() };
+  }
+}
+
+const store = load();
+let saveTimer = null;
+
+function save() {
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(() => {
+    const tmp = `${DATA_FILE}.tmp`;
+    writeFileSync(
+      tmp,
+      JSON.stringify({
+        epoch: store.epoch,
+        rev: store.rev,
+        code: store.code,
+        records: Object.fromEntries(store.records),
+      })
+    );
+    renameSync(tmp, DATA_FILE);
+  }, SAVE_DELAY_MS);
+}
+
+const CODE = process.env.SYNC_CODE || store.code;
+// der erzeugte Code muss einen Neustart überstehen, auch wenn noch nichts abgeglichen wurde
+save();
+
+function digest(code) {
+  return createHash("sha256").update(String(code ?? "").trim().toUpperCase()).digest();
+}
+
+function validCode(code) {
+  return timingSafeEqual(digest(code), digest(CODE));
+}
+
+// Browser-Seiten aus dem Internet dürfen nicht an die Vereinsdaten
+function allowedOrigin(origin) {
+  if (!origin || ORIGINS.includes(origin)) return true;
+  try {
+    const { hostname } = new URL(origin);
+    return (
+      hostname === "localhost" ||
+      hostname === "[::1]" ||
+      hostname.endsWith(".local") ||
+      /^(127\.|10\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.)/.test(hostname)
+    );
+  } catch {
+    return false;
+  }
+}
+
+function same(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+const clients = new Set();
+
+function changesSince(since) {
+  const out = [];
+  for (const [key, r] of store.records) if (r.rev > since) out.push({ key, rev: r.rev, value: r.value });
+  return out.sort((x, y) => x.rev - y.rev);
+}
+
+function handle(client, message) {
+  if (message.type === "hello") {
+    if (!validCode(message.code)) {
+      client.conn.send(JSON.stringify({ type: "denied" }));
+      client.conn.close();
+      return;
+    }
+    client.authed = true;
+    client.by = String(message.by ?? "").slice(0, 60);
+    const since = message.epoch === store.epoch ? Number(message.since) || 0 : 0;
+    client.conn.send(JSON.stringify({ type: "welcome", epoch: store.epoch, rev: store.rev, changes: changesSince(since) }));
+    return;
+  }
+  if (!client.authed) return;
+  if (message.type === "by") {
+    client.by = String(message.by ?? "").slice(0, 60);
+    return;
+  }
+  if (message.type !== "push" || !Array.isArray(message.changes)) return;
+
+  const record = (key) => store.records.get(key) ?? { rev: 0, value: null, by: "" };
+  const changes = message.changes.filter((c) => typeof c?.key === "string");
+  const creates = changes.some(({ key, value = null }) => needsSession(key, value) && record(key).value === null);
+  const session = creates ? changes.find((c) => c.key === "session") : null;
+  const locked = Boolean(session) && (session.baseRev ?? 0) === record("session").rev;
+
+  const accepted = [];
+  for (const { key, value = null, baseRev = 0 } of changes) {
+    const current = record(key);
+    const touch = locked && key === "session";
+    if (same(current.value, value) && !touch) {
+      client.conn.send(JSON.stringify({ type: "ack", key, rev: current.rev, value }));
+      continue;
+    }
+    const orphan = !locked && needsSession(key, value) && current.value === null;
+    if (current.rev !== baseRev || orphan) {
+      client.conn.send(JSON.stringify({ type: "conflict", key, rev: current.rev, value: current.value, by: current.by }));
+      continue;
+    }
+    const rev = ++store.rev;
+    store.records.set(key, { rev, value, by: client.by });
+    client.conn.send(JSON.stringify({ type: "ack", key, rev, value }));
+    accepted.push({ key, rev, value });
+  }
+
+  if (accepted.length) {
+    const update = JSON.stringify({ type: "update", changes: accepted, by: client.by });
+    for (const other of clients) if (other !== client && other.authed) other.conn.send(update);
+    save();
+  }
+}
+
+const server = createServer((req, res) => {
+  res.writeHead(200, { "Content-Type": "text/plain; charset=utf-8" });
+  res.end(`Vereinsapp-Abgleich: ${clients.size} Geräte verbunden, Revision ${store.rev}\n`);
+});
+
+server.on("upgrade", (req, socket) => {
+  if (!allowedOrigin(req.headers.origin)) {
+    console.error("Verbindung abgelehnt, fremde Seite:", req.headers.origin);
+    socket.end("HTTP/1.1 403 Forbidden\r\n\r\n");
+    return;
+  }
+  const conn = acceptWebSocket(req, socket);
+  if (!conn) return;
+  const client = { conn, by: "", authed: false };
+  clients.add(client);
+  conn.onMessage = (text) => {
+    try {
+      handle(client, JSON.parse(text));
+    } catch (err) {
+      console.error("Ungültige Nachricht:", err.message);
+    }
+  };
+  conn.onClose = () => clients.delete(client);
+});
+
+server.listen(PORT, () => {
+  const addresses = Object.values(networkInterfaces())
+    .flat()
+    .filter((a) => a.family === "IPv4" && !a.internal)
+    .map((a) => `ws://${a.address}:${PORT}`);
+  console.log(`Vereinsapp-Abgleich läuft auf Port ${PORT}, Daten in ${DATA_FILE}`);
+  for (const a of addresses) console.log(`  in der App eintragen: ${a}`);
+  console.log(`  Zugangscode: ${CODE}`);
+});
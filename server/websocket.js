@@ -0,0 +1,123 @@
+// Minimaler WebSocket-Server (RFC 6455) nur mit Node-Bordmitteln, damit der
+// Vereinsserver ohne npm install auf jedem Laptop läuft. Unterstützt
+// Textnachrichten, Ping/Pong und Schließen – mehr braucht der Abgleich nicht.
+
+import { createHash } from "node:crypto";
+
+const GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE = 32 * 1024 * 1024;
+
+function frame(opcode, payload) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Übernimmt einen HTTP-Upgrade-Request; liefert die Verbindung oder null.
+// conn.onMessage(text) und conn.onClose() setzt der Aufrufer.
+export function acceptWebSocket(req, socket) {
+  const key = req.headers["sec-websocket-key"];
+  if (!key || req.headers.upgrade?.toLowerCase() !== "websocket") {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return null;
+  }
+  const accept = createHash("sha1").update(key + GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  socket.setNoDelay(true);
+
+  let buffer = Buffer.alloc(0);
+  let fragments = [];
+  let open = true;
+
+  const conn = {
+    onMessage: () => {},
+    onClose: () => {},
+    send(text) {
+      if (open) socket.write(frame(0x1, Buffer.from(text, "utf8")));
+    },
+    close() {
+      if (!open) return;
+      socket.end(frame(0x8, Buffer.alloc(0)));
+      finish();
+    },
+  };
+
+  function finish() {
+    if (!open) return;
+    open = false;
+    conn.onClose();
+  }
+
+  // liefert false, wenn der Puffer noch keinen ganzen Frame enthält
+  function readFrame() {
+    if (buffer.length < 2) return false;
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let len = buffer[1] & 0x7f;
+    let offset = 2;
+    if (len === 126) {
+      if (buffer.length < 4) return false;
+      len = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (len === 127) {
+      if (buffer.length < 10) return false;
+      len = Number(buffer.readBigUInt64BE(2));
+      offset = 10;
+    }
+    if (len > MAX_MESSAGE) {
+      conn.close();
+      return false;
+    }
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + len) return false;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + len));
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+    }
+    buffer = buffer.subarray(offset + len);
+
+    if (opcode === 0x8) {
+      conn.close();
+    } else if (opcode === 0x9) {
+      if (open) socket.write(frame(0xa, payload));
+    } else if (opcode === 0x1 || opcode === 0x0) {
+      fragments.push(payload);
+      if (fin) {
+        const text = Buffer.concat(fragments).toString("utf8");
+        fragments = [];
+        conn.onMessage(text);
+      }
+    }
+    return true;
+  }
+
+  socket.on("data", (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (open && readFrame());
+  });
+  socket.on("close", finish);
+  socket.on("error", finish);
+
+  return conn;
+}
@@ -0,0 +1,22 @@
+// Verlauf: wer hat was wann geändert (neueste zuerst)
+export default function ActivityLog({ title, entries }) {
+  if (entries.length === 0) return null;
+  return (
+    <details style={{ marginTop: 14 }}>
+      <summary style={{ cursor: "pointer" }}>
+        {title} ({entries.length})
+      </summary>
+      <div style={{ border: "1px solid #eee", borderRadius: 10, overflow: "hidden", marginTop: 8 }}>
+        {[...entries].reverse().map((e, idx) => (
+          <div
+            key={e.id}
+            style={{ padding: "6px 10px", borderTop: idx === 0 ? "none" : "1px solid #f0f0f0", fontSize: 13 }}
+          >
+            <span style={{ color: "#666" }}>{new Date(e.at).toLocaleString("de-DE")}</span>
+            {e.by ? <b> · {e.by}</b> : null} · {e.text}
+          </div>
+        ))}
+      </div>
+    </details>
+  );
+}
@@ -1,150 +1,292 @@
-import { useEffect, useMemo, useState } from "react";
-
-const PLAYERS_KEY = "vereinsapp.players.v1";
-const SESSION_KEY = "vereinsapp.session.v1";
-const COMPLETED_KEY = "vereinsapp.completed.v1";
-
-// Regeln
-const WIN_POINTS = 2;
-const LOSS_POINTS = 0;
-const BYE_POINTS = 2; // Freilos = Sieg
-const BYE_SETS_WON = 0;
-const BYE_SETS_LOST = 0;
-
-// TTR/Elo Parameter
-const DEFAULT_TTR = 1000;
-const TTR_K = 16;
-const TTR_SCALE = 150;
-
-function loadJSON(key, fallback) {
-  try {
-    const raw = localStorage.getItem(key);
-    return raw ? JSON.parse(raw) : fallback;
-  } catch {
-    return fallback;
-  }
-}
-
-function saveJSON(key, value) {
-  if (value === null || value === undefined) localStorage.removeItem(key);
-  else localStorage.setItem(key, JSON.stringify(value));
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  PAIRING_MODES,
+  bergerSchedule,
+  generateRoundPairs,
+  generateSwissPairs,
+  pairKey,
+  swissOrder,
+} from "./pairing.js";
+import {
+  DEFAULT_RULES,
+  SESSION_TYPES,
+  byeValue,
+  formatSets,
+  normalizeRules,
+  parseResult,
+  parseSets,
+  roundRobinRounds,
+  rulesSummary,
+  sessionRules,
+} from "./rules.js";
+import { DEFAULT_ENGINE, DEFAULT_TTR, RATING_ENGINES, batchDeltas, idleState } from "./rating.js";
+import { SCHEMA_VERSION, createBackup, loadStoredData, mergeData } from "./backup.js";
+import { byFinishedAt, recomputeHistory, replayCorrection, sessionStandings, snapshotPlayer } from "./days.js";
+import {
+  DOUBLES_MODES,
+  doublesHistory,
+  fixedTeams,
+  generateDoublesPairs,
+  isDoubles,
+  matchPlayerIds,
+  repeatKeys,
+  sideName,
+} from "./doubles.js";
+import {
+  attendanceCSV,
+  attendanceHTML,
+  downloadFile,
+  fileDate,
+  pairingsCSV,
+  pairingsHTML,
+  printPage,
+  standingsCSV,
+  standingsHTML,
+} from "./exports.js";
+import { addRankingDay, attendanceReport, saveTraining } from "./attendance.js";
+import { logActivity, mapStates, packHistory, pushEvent, redoStep, undoStep, unpackHistory } from "./history.js";
+import { hallBoard, hasResult, withResult, withTables } from "./hall.js";
+import { computeOverall, overallLabel, overallSettings } from "./overall.js";
+import { displayUrl, liveState, openLiveChannel } from "./live.js";
+import { hasHistory, mergeCheck, mergePlayers, renamePlayer, validateName } from "./players.js";
+import { ageClass, cutoffDate, defaultCutoff, filterLabel, genderLabel, matchesFilter } from "./profiles.js";
+import { closeSeason, currentSeason, inSeason, isArchived, localDate, seasonOf, validateSeason } from "./seasons.js";
+import { knownPlayers } from "./stats.js";
+import { KEYS, loadJSON, saveJSON } from "./storage.js";
+import { applyChanges, describeConflict, touchedParts } from "./sync.js";
+import { createSyncClient } from "./syncClient.js";
+import {
+  firstKoPairs,
+  groupStageSchedule,
+  groupTables,
+  koRoundCount,
+  koRoundName,
+  nextKoPairs,
+  seedGroups,
+  validateTournament,
+} from "./tournament.js";
+import { uid } from "./util.js";
+import ActivityLog from "./ActivityLog.jsx";
+import AttendancePanel from "./AttendancePanel.jsx";
+import BackupPanel from "./BackupPanel.jsx";
+import DayEditor from "./DayEditor.jsx";
+import ExportButtons from "./ExportButtons.jsx";
+import HallBoard from "./HallBoard.jsx";
+import HeadToHead from "./HeadToHead.jsx";
+import PairingEditor from "./PairingEditor.jsx";
+import OverallSettings from "./OverallSettings.jsx";
+import PlayerFilter from "./PlayerFilter.jsx";
+import PlayerProfile from "./PlayerProfile.jsx";
+import RatingEnginePanel from "./RatingEnginePanel.jsx";
+import ResultEditor from "./ResultEditor.jsx";
+import SeasonPanel from "./SeasonPanel.jsx";
+import SessionPlayers from "./SessionPlayers.jsx";
+import SessionSetup from "./SessionSetup.jsx";
+import StandingsTable from "./StandingsTable.jsx";
+import SyncBanner from "./SyncBanner.jsx";
+import StorageIndicator from "./StorageIndicator.jsx";
+import SyncPanel from "./SyncPanel.jsx";
+import TournamentView from "./TournamentView.jsx";
+import UndoBar from "./UndoBar.jsx";
+
+const TTR_NOTE = "TTR wird erst beim Abschließen des Spieltags aktualisiert.";
+
+// Doppel: makeMatch(round, [[a, a2], [b, b2]])
+function makeMatch(round, [a, b], extra = {}) {
+  if (Array.isArray(a)) return makeMatch(round, [a[0], b[0]], { a2Id: a[1], b2Id: b[1], ...extra });
+  if (a === null || b === null) return { id: uid(), round, byeId: a ?? b, ...extra };
+  return { id: uid(), round, aId: a, bId: b, scoreA: null, scoreB: null, ...extra };
 }
 
-function uid() {
-  return crypto?.randomUUID?.() ?? String(Date.now() + Math.random());
-}
-
-function shuffle(arr) {
-  const a = [...arr];
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
-  }
-  return a;
-}
-
-function pairKey(aId, bId) {
-  return aId < bId ? `${aId}__${bId}` : `${bId}__${aId}`;
-}
-
-function generateRoundPairs(playerIds, playedPairsSet) {
-  const ids = [...playerIds];
-  if (ids.length % 2 === 1) ids.push(null);
+export default function App() {
+  // einmal beim Start laden und auf die aktuelle Schema-Version migrieren
+  const [stored] = useState(loadStoredData);
 
-  let best = null;
-  let bestRepeats = Infinity;
+  const [players, setPlayers] = useState(stored.players);
+  const [session, setSession] = useState(stored.session);
+  const [completed, setCompleted] = useState(stored.completed);
 
-  for (let attempt = 0; attempt < 200; attempt++) {
-    const s = shuffle(ids);
-    const pairs = [];
-    let repeats = 0;
+  // zuletzt verwendete Regeln als Vorgabe fürs nächste Setup
+  const [lastRules, setLastRules] = useState(() =>
+    normalizeRules({ ...DEFAULT_RULES, ...stored.settings })
+  );
+  const [setup, setSetup] = useState(null);
+  // TTR-Historie: ein Eintrag pro Spieler und abgeschlossenem Spieltag
+  const [ratingLog, setRatingLog] = useState(stored.ratingLog);
+  const [club, setClub] = useState(stored.club);
+  const [seasons, setSeasons] = useState(stored.seasons);
+  // Trainingsbuch: Anwesenheit je Trainingstag
+  const [attendance, setAttendance] = useState(stored.attendance);
+  // angezeigte Saison in der Gesamtrangliste (null = laufende Saison)
+  const [seasonView, setSeasonView] = useState(null);
+  const [profileId, setProfileId] = useState(null);
+  const [editDayId, setEditDayId] = useState(null);
+  const [editPairings, setEditPairings] = useState(false);
+  const [rankingFilter, setRankingFilter] = useState({ ageClass: "", gender: "" });
+  const [listFilter, setListFilter] = useState({ ageClass: "", gender: "" });
 
-    for (let i = 0; i < s.length; i += 2) {
-      const a = s[i];
-      const b = s[i + 1];
+  const [name, setName] = useState("");
 
-      if (a === null || b === null) {
-        pairs.push([a, b]);
-        continue;
-      }
+  // Rückgängig/Wiederholen und Verlauf (beides gespeichert, pro Gerät)
+  const [history, setHistory] = useState(() => unpackHistory(loadJSON(KEYS.history, null), SCHEMA_VERSION));
+  const [activity, setActivity] = useState(() => loadJSON(KEYS.activity, []));
+  const [editor, setEditor] = useState(() => loadJSON(KEYS.editor, ""));
+
+  // Abgleich mit dem Vereinsserver (Adresse pro Gerät)
+  const [syncUrl, setSyncUrl] = useState(() => loadJSON(KEYS.syncUrl, ""));
+  const [syncCode, setSyncCode] = useState(() => loadJSON(KEYS.syncCode, ""));
+  const [syncStatus, setSyncStatus] = useState({ state: "connecting", pending: 0 });
+  const [syncNotices, setSyncNotices] = useState([]);
+  const syncClient = useRef(null);
+  const syncLatest = useRef(null);
+
+  useEffect(() => saveJSON(KEYS.players, players), [players]);
+  useEffect(() => saveJSON(KEYS.session, session), [session]);
+  useEffect(() => saveJSON(KEYS.completed, completed), [completed]);
+  useEffect(() => saveJSON(KEYS.settings, lastRules), [lastRules]);
+  useEffect(() => saveJSON(KEYS.ratingLog, ratingLog), [ratingLog]);
+  useEffect(() => saveJSON(KEYS.club, club), [club]);
+  useEffect(() => saveJSON(KEYS.seasons, seasons), [seasons]);
+  useEffect(() => saveJSON(KEYS.attendance, attendance), [attendance]);
+  useEffect(() => saveJSON(KEYS.activity, activity), [activity]);
+  useEffect(() => saveJSON(KEYS.history, packHistory(history, SCHEMA_VERSION)), [history]);
+  useEffect(() => saveJSON(KEYS.editor, editor), [editor]);
+  useEffect(() => saveJSON(KEYS.syncUrl, syncUrl || null), [syncUrl]);
+  useEffect(() => saveJSON(KEYS.syncCode, syncCode || null), [syncCode]);
+
+  // jede lokale Änderung an den Server (oder in die Warteschlange)
+  useEffect(() => {
+    syncLatest.current = { data: { players, session, completed, ratingLog, attendance, seasons }, editor };
+    syncClient.current?.update(syncLatest.current.data);
+  }, [players, session, completed, ratingLog, attendance, seasons, editor]);
 
-      const k = pairKey(a, b);
-      if (playedPairsSet.has(k)) repeats++;
-      pairs.push([a, b]);
-    }
+  useEffect(() => {
+    if (!syncUrl) return;
+    const client = createSyncClient({
+      url: syncUrl,
+      code: syncCode,
+      by: syncLatest.current.editor.trim(),
+      data: syncLatest.current.data,
+      // fremde Änderungen übernehmen, auch in die Stände für Rückgängig
+      onRemote: (changes) => {
+        const parts = touchedParts(changes);
+        const part = (key) => (prev) => applyChanges({ [key]: prev }, changes)[key];
+        if (parts.has("players")) setPlayers(part("players"));
+        if (parts.has("session")) setSession(part("session"));
+        if (parts.has("completed")) setCompleted(part("completed"));
+        if (parts.has("ratingLog")) setRatingLog(part("ratingLog"));
+        if (parts.has("attendance")) setAttendance(part("attendance"));
+        if (parts.has("seasons")) setSeasons(part("seasons"));
+        setHistory((prev) => mapStates(prev, (data) => applyChanges(data, changes)));
+      },
+      onConflict: (key, mine, theirs, by) => {
+        const names = new Map((syncLatest.current.data.session?.players ?? []).map((p) => [p.id, p.name]));
+        const text = describeConflict(key, mine, theirs, names, by);
+        if (text) setSyncNotices((prev) => (prev.includes(text) ? prev : [...prev, text].slice(-5)));
+      },
+      onStatus: setSyncStatus,
+    });
+    syncClient.current = client;
+    return () => {
+      client.close();
+      syncClient.current = null;
+    };
+  }, [syncUrl, syncCode]);
+  useEffect(() => syncClient.current?.setBy(editor.trim()), [editor]);
+  useEffect(() => saveJSON(KEYS.schema, SCHEMA_VERSION), []);
 
-    if (repeats < bestRepeats) {
-      bestRepeats = repeats;
-      best = pairs;
-      if (repeats === 0) break;
-    }
+  // Datenstand, den Rückgängig wiederherstellt (inkl. Vereinseinstellungen und Regeln)
+  function currentData() {
+    return { players, session, completed, ratingLog, attendance, seasons, club, settings: lastRules };
   }
 
-  return best ?? [];
-}
+  // Setzt einen kompletten Datenstand (Rückgängig, Umbenennen, Zusammenführen)
+  function applyData(data) {
+    setPlayers(data.players);
+    setSession(data.session);
+    setCompleted(data.completed);
+    setRatingLog(data.ratingLog);
+    setAttendance(data.attendance);
+    setSeasons(data.seasons);
+    setClub(data.club);
+    setLastRules(data.settings);
+  }
 
-const RESULT_OPTIONS = [
-  { label: "—", value: "" },
-  { label: "3–0", value: "3-0" },
-  { label: "2–1", value: "2-1" },
-  { label: "1–2", value: "1-2" },
-  { label: "0–3", value: "0-3" },
-];
-
-function parseResult(value) {
-  if (!value) return null;
-  const [a, b] = value.split("-").map((x) => Number(x));
-  if (![0, 1, 2, 3].includes(a) || ![0, 1, 2, 3].includes(b)) return null;
-  if (a + b !== 3) return null; // exakt 3 Sätze
-  return { a, b };
-}
+  function logEntry(text, sessionId, id = uid(), at = new Date().toISOString()) {
+    setActivity((prev) => logActivity(prev, { id, at, by: editor.trim(), text, sessionId }));
+  }
 
-// --- TTR Funktionen (dein Ansatz, nur sauber symmetrisch) ---
-function expectedScore(rA, rB) {
-  return 1 / (1 + Math.pow(10, (rB - rA) / TTR_SCALE));
-}
+  // Vor jeder Änderung aufrufen (nach den Prüfungen): legt den Stand davor ab.
+  // key fasst gleichartige Änderungen kurz hintereinander zusammen.
+  function track(text, { key = null, sessionId = session?.id ?? null } = {}) {
+    const at = new Date().toISOString();
+    const next = pushEvent(history, { id: uid(), at, by: editor.trim(), text, sessionId, key, before: currentData() });
+    setHistory(next);
+    logEntry(text, sessionId, next.past[next.past.length - 1].id, at);
+  }
 
-function matchDelta(rA, rB, aWon, k = TTR_K) {
-  const P = expectedScore(rA, rB);
-  const result = aWon ? 1 : 0;
-  const deltaA = Math.round((result - P) * k);
-  const deltaB = -deltaA;
-  return { deltaA, deltaB };
-}
+  function undo() {
+    const step = undoStep(history, currentData());
+    if (!step) return;
+    setHistory(step.history);
+    applyData(step.data);
+    logEntry(`Rückgängig: ${step.event.text}`, step.event.sessionId);
+  }
 
-export default function App() {
-  const [players, setPlayers] = useState(() => {
-    const p = loadJSON(PLAYERS_KEY, []);
-    return Array.isArray(p) ? p : [];
-  });
-  const [session, setSession] = useState(() => loadJSON(SESSION_KEY, null));
-  const [completed, setCompleted] = useState(() => {
-    const x = loadJSON(COMPLETED_KEY, []);
-    return Array.isArray(x) ? x : [];
-  });
+  function redo() {
+    const step = redoStep(history, currentData());
+    if (!step) return;
+    setHistory(step.history);
+    applyData(step.data);
+    logEntry(`Wiederholt: ${step.event.text}`, step.event.sessionId);
+  }
 
-  const [name, setName] = useState("");
+  // Vereinseinstellungen; key fasst Tippen im selben Feld zusammen
+  function changeClub(text, key, patch) {
+    track(text, { key, sessionId: null });
+    setClub((prev) => ({ ...prev, ...patch }));
+  }
 
-  useEffect(() => saveJSON(PLAYERS_KEY, players), [players]);
-  useEffect(() => saveJSON(SESSION_KEY, session), [session]);
-  useEffect(() => saveJSON(COMPLETED_KEY, completed), [completed]);
+  function exportBackup() {
+    return createBackup({ players, session, completed, ratingLog, settings: lastRules, club, seasons, attendance });
+  }
 
-  // Migration: falls irgendwo ttr fehlt -> DEFAULT_TTR
-  useEffect(() => {
-    setPlayers((prev) =>
-      prev.map((p) => ({
-        ...p,
-        ttr: Number.isFinite(p.ttr) ? p.ttr : DEFAULT_TTR,
-      }))
-    );
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+  function importBackup(data, mode) {
+    track(mode === "merge" ? "Backup zusammengeführt" : "Backup importiert (ersetzt)", { sessionId: null });
+    const next =
+      mode === "merge"
+        ? mergeData({ players, session, completed, ratingLog, settings: lastRules, club, seasons, attendance }, data)
+        : data;
+    setPlayers(next.players);
+    setSession(next.session);
+    setCompleted(next.completed);
+    setRatingLog(next.ratingLog);
+    setLastRules(normalizeRules({ ...DEFAULT_RULES, ...next.settings }));
+    setClub(next.club);
+    setSeasons(next.seasons);
+    setSeasonView(null);
+    setAttendance(next.attendance);
+  }
 
   const sortedPlayers = useMemo(
     () => [...players].sort((a, b) => a.name.localeCompare(b.name, "de")),
     [players]
   );
 
+  const cutoff = club.ageCutoff || defaultCutoff();
+
+  // Stammliste ohne archivierte Spieler
+  const rosterPlayers = useMemo(() => sortedPlayers.filter((p) => !p.archived), [sortedPlayers]);
+  const archivedPlayers = useMemo(() => sortedPlayers.filter((p) => p.archived), [sortedPlayers]);
+
+  const visiblePlayers = useMemo(
+    () => rosterPlayers.filter((p) => matchesFilter(p, listFilter, cutoff)),
+    [rosterPlayers, listFilter, cutoff]
+  );
+
+  const profilePlayer = players.find((p) => p.id === profileId) ?? null;
+  const editDay = completed.find((d) => d.id === editDayId) ?? null;
+
   const activeCount = useMemo(() => players.filter((p) => p.active).length, [players]);
 
   function addPlayer(e) {
@@ -152,8 +294,18 @@ export default function App() {
     const n = name.trim();
     if (!n) return;
 
-    if (players.some((p) => p.name.toLowerCase() === n.toLowerCase())) return;
+    const existing = players.find((p) => p.name.toLowerCase() === n.toLowerCase());
+    if (existing) {
+      if (!existing.archived) {
+        alert(`„${existing.name}“ gibt es schon.`);
+      } else if (window.confirm(`„${existing.name}“ ist archiviert. Wiederherstellen?`)) {
+        restorePlayer(existing.id);
+        setName("");
+      }
+      return;
+    }
 
+    track(`Spieler „${n}“ angelegt`);
     setPlayers((prev) => [
       ...prev,
       { id: uid(), name: n, ttr: DEFAULT_TTR, active: true },
@@ -162,15 +314,91 @@ export default function App() {
   }
 
   function toggleActive(id) {
+    track("Anwesenheit angehakt", { key: "active" });
     setPlayers((prev) => prev.map((p) => (p.id === id ? { ...p, active: !p.active } : p)));
   }
 
+  function playerName(id) {
+    return players.find((p) => p.id === id)?.name ?? "?";
+  }
+
+  function updatePlayer(id, fields) {
+    track(`Profil von ${playerName(id)} geändert`, { key: `profile:${id}` });
+    setPlayers((prev) => prev.map((p) => (p.id === id ? { ...p, ...fields } : p)));
+  }
+
+  // Archivieren statt löschen: Trainingstage, Historie und Gesamtrangliste
+  // verweisen weiter auf die id
+  function archivePlayer(id) {
+    track(`Spieler „${playerName(id)}“ archiviert`);
+    setPlayers((prev) => prev.map((p) => (p.id === id ? { ...p, archived: true, active: false } : p)));
+  }
+
+  function restorePlayer(id) {
+    track(`Spieler „${playerName(id)}“ wiederhergestellt`);
+    setPlayers((prev) => prev.map((p) => (p.id === id ? { ...p, archived: false } : p)));
+  }
+
+  // Endgültig löschen nur ohne jede Spur (z.B. Tippfehler beim Anlegen)
   function removePlayer(id) {
+    if (hasHistory(currentData(), id)) {
+      alert("Der Spieler hat schon Trainingstage oder Anwesenheit und kann nur archiviert werden.");
+      return;
+    }
+    track(`Spieler „${playerName(id)}“ gelöscht`);
     setPlayers((prev) => prev.filter((p) => p.id !== id));
   }
 
+  function renamePlayerTo(id, name) {
+    const err = validateName(players, id, name);
+    if (err) return err;
+    track(`„${playerName(id)}“ umbenannt in „${name.trim()}“`);
+    applyData(renamePlayer(currentData(), id, name));
+    return null;
+  }
+
+  // dropId geht in keepId auf, die TTR-Historie wird neu berechnet
+  function mergePlayerInto(keepId, dropId) {
+    const err = mergeCheck(currentData(), keepId, dropId);
+    if (err) {
+      alert(err);
+      return;
+    }
+    const ok = window.confirm(
+      `„${playerName(dropId)}“ in „${playerName(keepId)}“ übernehmen?\n` +
+        "Ergebnisse, Historie und Anwesenheit werden zusammengelegt, der zweite Eintrag verschwindet.\n" +
+        "Die TTR-Werte aller Spieler werden ab dem ersten gemeinsamen Trainingstag neu berechnet (außer archivierte Saisons)."
+    );
+    if (!ok) return;
+    track(`„${playerName(dropId)}“ mit „${playerName(keepId)}“ zusammengeführt`, { sessionId: null });
+    applyData(mergePlayers(currentData(), keepId, dropId));
+  }
+
   function setAllActive(value) {
-    setPlayers((prev) => prev.map((p) => ({ ...p, active: value })));
+    track(value ? "Alle als anwesend angehakt" : "Alle Häkchen entfernt");
+    setPlayers((prev) => prev.map((p) => ({ ...p, active: value && !p.archived })));
+  }
+
+  // Anwesenheit = aktuell angehakte Spieler
+  function saveAttendance({ date, note }) {
+    const playerIds = players.filter((p) => p.active).map((p) => p.id);
+    track(`Anwesenheit vom ${new Date(`${date}T00:00:00`).toLocaleDateString("de-DE")} gespeichert`);
+    setAttendance((prev) => saveTraining(prev, { date, playerIds, note }, completed));
+  }
+
+  function removeAttendance(id) {
+    const entry = attendance.find((e) => e.id === id);
+    if (!entry) return;
+    track(`Trainingsbuch-Eintrag vom ${new Date(`${entry.date}T00:00:00`).toLocaleDateString("de-DE")} gelöscht`);
+    setAttendance((prev) => prev.filter((e) => e.id !== id));
+  }
+
+  function openSetup() {
+    if (players.filter((p) => p.active).length < 2) {
+      alert("Mindestens 2 anwesende Spieler auswählen.");
+      return;
+    }
+    setSetup({ ...lastRules });
   }
 
   function startRanking() {
@@ -180,12 +408,62 @@ export default function App() {
       return;
     }
 
+    const rules = normalizeRules(setup ?? lastRules);
+    if (rules.type === "tournament") {
+      const err = validateTournament(activePlayers.length, rules.groups, rules.qualifiers);
+      if (err) {
+        alert(err);
+        return;
+      }
+    }
+    if (rules.type === "doubles") {
+      if (activePlayers.length < 4) {
+        alert("Doppel braucht mindestens 4 anwesende Spieler.");
+        return;
+      }
+      if (rules.doubles === "fixed" && activePlayers.length % 2 === 1) {
+        alert("Feste Paare brauchen eine gerade Spielerzahl.");
+        return;
+      }
+    }
+    setLastRules(rules);
+    setSetup(null);
+
+    // Jeder gegen Jeden: kompletter Spielplan steht ab Start fest, Setzliste nach TTR
+    let schedule = null;
+    let rounds = rules.rounds;
+    if (rules.type === "roundrobin") {
+      const seeded = [...activePlayers].sort(
+        (a, b) => (b.ttr ?? 0) - (a.ttr ?? 0) || a.name.localeCompare(b.name, "de")
+      );
+      schedule = bergerSchedule(seeded.map((p) => p.id));
+      rounds = roundRobinRounds(activePlayers.length);
+    }
+
+    // Turnier: Gruppen nach TTR, danach KO-Runden (Anzahl steht ab Start fest)
+    let tournament = {};
+    if (rules.type === "tournament") {
+      const groups = seedGroups(activePlayers, rules.groups);
+      schedule = groupStageSchedule(groups);
+      const koRounds = koRoundCount(rules.groups * rules.qualifiers);
+      rounds = schedule.length + koRounds;
+      tournament = { groups, groupRounds: schedule.length, koRounds };
+    }
+
+    // Feste Doppel werden zu Beginn gebildet und spielen den ganzen Tag zusammen
+    const teams = rules.type === "doubles" && rules.doubles === "fixed" ? fixedTeams(activePlayers) : null;
+
     // Snapshot der TTRs zum Spieltag-Start (wichtig fürs Batch-Update)
+    const sessionId = uid();
+    track(`Rangliste gestartet (${activePlayers.length} Spieler)`, { sessionId });
     setSession({
-      id: uid(),
+      id: sessionId,
       startedAt: new Date().toISOString(),
-      rounds: 6,
+      rules: { ...rules, rounds },
       players: activePlayers.map((p) => ({ ...p })),
+      schedule,
+      teams,
+      ...tournament,
       matches: [],
       currentRound: 0,
       finished: false,
@@ -194,198 +472,435 @@ export default function App() {
   }
 
   function endSession() {
+    track("Rangliste verlassen");
     setSession(null);
   }
 
+  const rules = useMemo(() => sessionRules(session), [session]);
+
+  const allMatchesHaveResults = useMemo(() => {
+    if (!session) return false;
+    for (const m of session.matches ?? []) {
+      if (m.byeId) continue;
+      if (m.scoreA === null || m.scoreB === null) return false;
+    }
+    return (session.matches?.length ?? 0) > 0;
+  }, [session]);
+
+  const standings = useMemo(() => {
+    if (!session) return [];
+    return sessionStandings(session, rules);
+  }, [session, rules]);
+
   function drawNextRound() {
     if (!session || session.finished) return;
 
     const nextRound = (session.currentRound ?? 0) + 1;
-    if (nextRound > session.rounds) return;
+    if (nextRound > rules.rounds) return;
+
+    let newMatches;
+    if (rules.type === "tournament") {
+      newMatches = drawTournamentRound(nextRound);
+      if (!newMatches) return;
+    } else {
+      newMatches = drawPairs(nextRound).map(([a, b, extra]) => makeMatch(nextRound, [a, b], extra));
+    }
 
-    const ids = session.players.map((p) => p.id);
+    track(`Runde ${nextRound} ${session.schedule ? "gestartet" : "ausgelost"}`);
+    setSession((prev) =>
+      withTables(
+        { ...prev, currentRound: nextRound, matches: [...(prev.matches ?? []), ...newMatches] },
+        rules.tables
+      )
+    );
+  }
+
+  // earlier = Begegnungen vor dieser Runde (beim Neu-Auslosen ohne die alte Runde)
+  function drawPairs(nextRound, earlier = session.matches ?? []) {
+    // Abgemeldete spielen nicht mehr; im festen Spielplan fällt die Begegnung
+    // aus (ohne Punkte für den Gegner, das dritte Element sind Zusatzfelder).
+    // Nachzügler erst ab ihrer Einstiegsrunde.
+    const out = new Set(
+      session.players.filter((p) => p.withdrawn || p.joinedRound > nextRound).map((p) => p.id)
+    );
+    if (session.schedule) {
+      return (session.schedule[nextRound - 1] ?? [])
+        .filter(([a, b]) => (a !== null && !out.has(a)) || (b !== null && !out.has(b)))
+        .map(([a, b]) => {
+          if (a === null || b === null || (!out.has(a) && !out.has(b))) return [a, b];
+          return [out.has(a) ? b : a, null, { unplayed: true }];
+        });
+    }
 
     const played = new Set();
-    for (const m of session.matches ?? []) {
-      if (m.byeId) continue;
-      played.add(pairKey(m.aId, m.bId));
+    const byeCount = new Map();
+    for (const m of earlier) {
+      if (m.byeId) byeCount.set(m.byeId, (byeCount.get(m.byeId) ?? 0) + 1);
+      else played.add(pairKey(m.aId, m.bId));
     }
 
-    const pairs = generateRoundPairs(ids, played);
+    const table =
+      earlier === session.matches ? standings : sessionStandings({ ...session, matches: earlier }, rules);
+    const ranked = table.filter((s) => !out.has(s.id));
+    if (rules.type === "doubles") return drawDoubles(ranked.map((s) => s.id), earlier, byeCount);
+    if (rules.pairing === "swiss") {
+      const ttrById = new Map(session.players.map((p) => [p.id, p.ttr]));
+      return generateSwissPairs(swissOrder(ranked, ttrById), played, byeCount);
+    }
+    return generateRoundPairs(ranked.map((s) => s.id), played, byeCount);
+  }
 
-    const newMatches = pairs.map(([a, b]) => {
-      if (a === null || b === null) {
-        const byeId = a ?? b;
-        return { id: uid(), round: nextRound, byeId };
+  // Feste Paare: Doppel werden wie Einzelspieler ausgelost (ohne Wiederholung),
+  // ein spielfreies Doppel gibt beiden Partnern ein Freilos.
+  // Wechselnde Partner: siehe generateDoublesPairs.
+  function drawDoubles(rankedIds, earlier, byeCount) {
+    if (!session.teams) return generateDoublesPairs(rankedIds, doublesHistory(earlier), byeCount);
+
+    const byKey = new Map(session.teams.map((t) => [pairKey(t[0], t[1]), t]));
+    const rank = (t) => Math.min(...t.map((id) => rankedIds.indexOf(id)));
+    const teamKeys = [...byKey.keys()].sort((x, y) => rank(byKey.get(x)) - rank(byKey.get(y)));
+    const teamPlayed = new Set();
+    const teamByes = new Map();
+    for (const m of earlier) {
+      if (m.byeId) {
+        const key = teamKeys.find((k) => byKey.get(k)[0] === m.byeId);
+        if (key) teamByes.set(key, (teamByes.get(key) ?? 0) + 1);
+      } else if (isDoubles(m)) {
+        teamPlayed.add(pairKey(pairKey(m.aId, m.a2Id), pairKey(m.bId, m.b2Id)));
       }
-      return { id: uid(), round: nextRound, aId: a, bId: b, scoreA: null, scoreB: null };
-    });
+    }
+
+    return generateRoundPairs(teamKeys, teamPlayed, teamByes).flatMap(([x, y]) =>
+      y === null ? byKey.get(x).map((id) => [id, null]) : [[byKey.get(x), byKey.get(y)]]
+    );
+  }
 
+  // Nachzügler: spielt ab der nächsten Runde mit. Bereits ausgeloste Runden
+  // gelten als verpasst und werden je nach rules.lateMode als Freilos gewertet.
+  function addLatePlayer(playerId) {
+    if (!session || session.finished) return;
+    if (session.schedule || session.teams) {
+      alert("Bei festem Spielplan (Jeder gegen Jeden, Turnier, feste Doppel) kann niemand nachgemeldet werden.");
+      return;
+    }
+    const p = players.find((x) => x.id === playerId);
+    if (!p || session.players.some((x) => x.id === playerId)) return;
+
+    track(`${p.name} nachgemeldet`);
+    const missed = session.currentRound ?? 0;
+    const byes =
+      rules.lateMode === "byes"
+        ? Array.from({ length: missed }, (_, i) => makeMatch(i + 1, [p.id, null], { late: true }))
+        : [];
+
+    setSession((prev) => ({
+      ...prev,
+      players: [...prev.players, { ...p, active: true, joinedRound: missed + 1 }],
+      matches: [...(prev.matches ?? []), ...byes],
+    }));
+    setPlayers((prev) => prev.map((x) => (x.id === playerId ? { ...x, active: true } : x)));
+  }
+
+  // Abmelden: keine weiteren Auslosungen, gespielte Begegnungen zählen weiter
+  // (Tabelle und TTR-Batch). Eine offene Begegnung der aktuellen Runde bleibt
+  // bestehen und muss noch eingetragen werden.
+  function setWithdrawn(playerId, withdrawn) {
+    if (!session || session.finished) return;
+    if (rules.type === "tournament" || session.teams) {
+      alert("Im Turniermodus und bei festen Doppeln ist Abmelden nicht möglich.");
+      return;
+    }
+    if (withdrawn && session.players.filter((p) => !p.withdrawn).length <= 2) {
+      alert("Mindestens 2 Spieler müssen weiterspielen.");
+      return;
+    }
+    track(`${nameById.get(playerId) ?? "?"} ${withdrawn ? "abgemeldet" : "wieder angemeldet"}`);
     setSession((prev) => ({
       ...prev,
-      currentRound: nextRound,
-      matches: [...(prev.matches ?? []), ...newMatches],
+      players: prev.players.map((p) =>
+        p.id === playerId
+          ? { ...p, withdrawn, withdrawnAfterRound: withdrawn ? prev.currentRound ?? 0 : null }
+          : p
+      ),
     }));
   }
 
+  // Gruppenrunden kommen aus dem Spielplan, KO-Runden aus Tabellen bzw. Siegern
+  function drawTournamentRound(nextRound) {
+    if (nextRound <= session.groupRounds) {
+      return (session.schedule[nextRound - 1] ?? []).map(({ group, pair }) =>
+        makeMatch(nextRound, pair, { group })
+      );
+    }
+
+    if (!allMatchesHaveResults) {
+      alert("Vor der nächsten KO-Runde müssen alle Ergebnisse eingetragen sein.");
+      return null;
+    }
+
+    const koRound = nextRound - session.groupRounds;
+    const pairs =
+      koRound === 1
+        ? firstKoPairs(groupTables(session, rules), rules.qualifiers)
+        : nextKoPairs((session.matches ?? []).filter((m) => m.stage === "ko" && m.koRound === koRound - 1));
+    return pairs.map((pair, slot) => makeMatch(nextRound, pair, { stage: "ko", koRound, slot }));
+  }
+
   const nameById = useMemo(() => {
     const map = new Map();
     if (session?.players) for (const p of session.players) map.set(p.id, p.name);
     return map;
   }, [session]);
 
+  function matchLabel(m) {
+    let label = null;
+    if (m.group) label = session.groups?.find((g) => g.id === m.group)?.name;
+    if (m.stage === "ko") label = koRoundName(m.koRound, session.koRounds);
+    if (!label) return null;
+    return <span style={{ color: "#666", fontWeight: 400, fontSize: 12, marginRight: 8 }}>{label}</span>;
+  }
+
   const currentRoundMatches = useMemo(() => {
     if (!session) return [];
     const r = session.currentRound ?? 0;
     return (session.matches ?? []).filter((m) => m.round === r);
   }, [session]);
 
-  function setMatchResult(matchId, value) {
-    if (!session || session.finished) return;
-
-    const parsed = parseResult(value);
-    setSession((prev) => ({
-      ...prev,
-      matches: (prev.matches ?? []).map((m) => {
-        if (m.id !== matchId) return m;
-        if (m.byeId) return m;
-        return { ...m, scoreA: parsed ? parsed.a : null, scoreB: parsed ? parsed.b : null };
-      }),
-    }));
+  // Platz in der Warteschlange je Spiel (1 = spielt als nächstes)
+  const queuePosition = useMemo(() => {
+    const map = new Map();
+    hallBoard(currentRoundMatches).waiting.forEach((m, i) => map.set(m.id, i + 1));
+    return map;
+  }, [currentRoundMatches]);
+
+  function tableLabel(m) {
+    if (!rules.tables || hasResult(m)) return null;
+    const text = m.table ? `Tisch ${m.table}` : `wartet (${queuePosition.get(m.id)}.)`;
+    return (
+      <span style={{ color: m.table ? "#1a7f37" : "#b26a00", fontWeight: 600, fontSize: 12, marginRight: 8 }}>
+        {text}
+      </span>
+    );
   }
 
-  const allMatchesHaveResults = useMemo(() => {
-    if (!session) return false;
-    for (const m of session.matches ?? []) {
-      if (m.byeId) continue;
-      if (m.scoreA === null || m.scoreB === null) return false;
+  // Paarungen der Vorrunden (für Wiederholungs-Warnungen)
+  const playedBefore = useMemo(() => {
+    const set = new Set();
+    for (const m of session?.matches ?? []) {
+      if (m.byeId || m.round >= session.currentRound) continue;
+      for (const key of repeatKeys(m)) set.add(key);
     }
-    return (session.matches?.length ?? 0) > 0;
+    return set;
   }, [session]);
 
-  const standings = useMemo(() => {
-    if (!session) return [];
+  // Wiederholungen der aktuellen Runde: das Schweizer System und die Zufalls-
+  // auslosung weichen darauf aus, wenn es ohne nicht aufgeht (oder die Suche
+  // abbricht). Das soll niemanden überraschen.
+  const roundRepeats = useMemo(() => {
+    if (!session || session.schedule || rules.type === "tournament") return [];
+    return currentRoundMatches.filter((m) => repeatKeys(m).some((k) => playedBefore.has(k)));
+  }, [session, rules.type, currentRoundMatches, playedBefore]);
+
+  // Runde lässt sich neu auslosen/bearbeiten, solange kein Ergebnis eingetragen ist
+  const canEditRound = useMemo(() => {
+    if (!session || session.finished || session.schedule || !session.currentRound) return false;
+    return currentRoundMatches.every((m) => m.byeId || (m.scoreA === null && m.scoreB === null));
+  }, [session, currentRoundMatches]);
+
+  // Aktuelle Runde neu auslosen, solange dort noch kein Ergebnis steht.
+  // Freilose von Nachzüglern (late) gehören nicht zur Auslosung und bleiben.
+  function redrawRound() {
+    if (!canEditRound) return;
+    const round = session.currentRound;
+    const ok = window.confirm(`Runde ${round} wirklich neu auslosen?`);
+    if (!ok) return;
 
-    const base = new Map(
-      session.players.map((p) => [
-        p.id,
-        {
-          id: p.id,
-          name: p.name,
-          points: 0,
-          wins: 0,
-          losses: 0,
-          setsWon: 0,
-          setsLost: 0,
-          played: 0,
-        },
-      ])
-    );
+    const earlier = (session.matches ?? []).filter((m) => m.round < round || m.late);
+    const newMatches = drawPairs(round, earlier).map((pair) => makeMatch(round, pair));
+    track(`Runde ${round} neu ausgelost`);
+    setSession((prev) => withTables({ ...prev, matches: [...earlier, ...newMatches] }, rules.tables));
+  }
 
-    for (const m of session.matches ?? []) {
-      if (m.byeId) {
-        const P = base.get(m.byeId);
-        if (!P) continue;
-        P.played += 1;
-        P.wins += 1;
-        P.points += BYE_POINTS;
-        P.setsWon += BYE_SETS_WON;
-        P.setsLost += BYE_SETS_LOST;
-        continue;
-      }
+  // Zwei Spieler der aktuellen Runde tauschen ihre Plätze (auch mit dem Freilos).
+  // Bei festen Doppeln tauschen die ganzen Doppel, sonst wären die Paare zerrissen.
+  function swapPlayers(xId, yId) {
+    if (!canEditRound || xId === yId) return;
+    const round = session.currentRound;
+    const teamOf = (id) => session.teams?.find((t) => t.includes(id)) ?? [id];
+    const tx = teamOf(xId);
+    const ty = teamOf(yId);
+    if (tx === ty) return;
+    const swapped = new Map(tx.flatMap((id, i) => [[id, ty[i]], [ty[i], id]]));
+    const swap = (id) => swapped.get(id) ?? id;
+
+    const next = (session.matches ?? []).map((m) => {
+      if (m.round !== round || m.late) return m;
+      if (m.byeId) return { ...m, byeId: swap(m.byeId) };
+      if (isDoubles(m)) return { ...m, aId: swap(m.aId), a2Id: swap(m.a2Id), bId: swap(m.bId), b2Id: swap(m.b2Id) };
+      return { ...m, aId: swap(m.aId), bId: swap(m.bId) };
+    });
 
-      if (m.scoreA === null || m.scoreB === null) continue;
-
-      const A = base.get(m.aId);
-      const B = base.get(m.bId);
-      if (!A || !B) continue;
-
-      A.played += 1;
-      B.played += 1;
-
-      A.setsWon += m.scoreA;
-      A.setsLost += m.scoreB;
-      B.setsWon += m.scoreB;
-      B.setsLost += m.scoreA;
-
-      if (m.scoreA > m.scoreB) {
-        A.wins += 1;
-        B.losses += 1;
-        A.points += WIN_POINTS;
-        B.points += LOSS_POINTS;
-      } else {
-        B.wins += 1;
-        A.losses += 1;
-        B.points += WIN_POINTS;
-        A.points += LOSS_POINTS;
-      }
+    const unchanged = (m) =>
+      currentRoundMatches.some((c) => c.id === m.id && repeatKeys(c).join() === repeatKeys(m).join());
+    const rematches = next
+      .filter((m) => m.round === round && !m.byeId && repeatKeys(m).some((k) => playedBefore.has(k)))
+      .filter((m) => !unchanged(m))
+      .map((m) => `${sideName(m, "a", nameById)} – ${sideName(m, "b", nameById)}`);
+    if (rematches.length) {
+      const ok = window.confirm(`Achtung, Wiederholung:\n${rematches.join("\n")}\n\nTrotzdem tauschen?`);
+      if (!ok) return;
     }
 
-    const arr = Array.from(base.values());
-    arr.sort((x, y) => {
-      const sdX = x.setsWon - x.setsLost;
-      const sdY = y.setsWon - y.setsLost;
-      if (y.points !== x.points) return y.points - x.points;
-      if (sdY !== sdX) return sdY - sdX;
-      if (y.setsWon !== x.setsWon) return y.setsWon - x.setsWon;
-      return x.name.localeCompare(y.name, "de");
+    const label = (team) => team.map((id) => nameById.get(id) ?? "?").join("/");
+    track(`Runde ${round}: ${label(tx)} und ${label(ty)} getauscht`);
+    setSession((prev) => ({ ...prev, matches: next }));
+  }
+
+  // Tischzahl lässt sich während des Spieltags ändern (Tisch kaputt, Nachbarhalle frei ...)
+  function setTables(value) {
+    if (!session || session.finished) return;
+    const tables = normalizeRules({ ...rules, tables: value }).tables;
+    track(tables ? `Tische: ${tables}` : "Tischplan aus", { key: "tables" });
+    setSession((prev) => withTables({ ...prev, rules: { ...sessionRules(prev), tables } }, tables));
+  }
+
+  function matchText(matchId) {
+    const m = (session.matches ?? []).find((x) => x.id === matchId);
+    return m ? `${sideName(m, "a", nameById)} – ${sideName(m, "b", nameById)}` : "Begegnung";
+  }
+
+  // Ein eingetragenes Ergebnis gibt den Tisch frei, das nächste wartende Spiel rückt nach
+  function setMatchResult(matchId, value) {
+    if (!session || session.finished) return;
+
+    const parsed = parseResult(value, rules.format);
+    track(`${matchText(matchId)}: ${parsed ? `${parsed.a}:${parsed.b}` : "Ergebnis gelöscht"}`, {
+      key: `result:${matchId}`,
     });
-    return arr;
-  }, [session]);
+    setSession((prev) =>
+      withTables(
+        {
+          ...prev,
+          matches: (prev.matches ?? []).map((m) => {
+            if (m.id !== matchId) return m;
+            if (m.byeId) return m;
+            // Schnellauswahl ersetzt vorher eingetragene Sätze
+            return withResult(m, parsed);
+          }),
+        },
+        rules.tables
+      )
+    );
+  }
+
+  function setMatchSets(matchId, sets) {
+    if (!session || session.finished) return;
+
+    const parsed = parseSets(sets, rules.format);
+    if (parsed.error) return;
+    track(`${matchText(matchId)}: Sätze ${formatSets(parsed.sets) || "gelöscht"}`, { key: `result:${matchId}` });
+    setSession((prev) =>
+      withTables(
+        {
+          ...prev,
+          matches: (prev.matches ?? []).map((m) => {
+            if (m.id !== matchId || m.byeId) return m;
+            return withResult(m, parsed);
+          }),
+        },
+        rules.tables
+      )
+    );
+  }
 
   const canFinish = useMemo(() => {
     if (!session) return false;
-    return !session.finished && session.currentRound === session.rounds && allMatchesHaveResults;
-  }, [session, allMatchesHaveResults]);
+    return !session.finished && session.currentRound === rules.rounds && allMatchesHaveResults;
+  }, [session, rules, allMatchesHaveResults]);
 
   function finishRanking() {
     if (!session) return;
     if (!canFinish) {
-      alert("Zum Abschließen müssen alle Ergebnisse bis Runde 6 eingetragen sein.");
+      alert(`Zum Abschließen müssen alle Ergebnisse bis Runde ${rules.rounds} eingetragen sein.`);
       return;
     }
 
     const finishedAt = new Date().toISOString();
+    const season = seasonOf(seasons, finishedAt);
+    if (season?.closed) {
+      alert(`Die Saison „${season.name}“ ist bereits abgeschlossen. Bitte zuerst eine neue Saison anlegen.`);
+      return;
+    }
 
-    // 1) Snapshot speichern (Jahresrangliste)
+    // Rückgängig nimmt auch TTR-Änderungen, Snapshot und Historie zurück
+    track("Rangliste abgeschlossen");
+
+    // 1) TTR-Änderungen als Batch mit den TTRs vom Start des Spieltags
+    const engine = club.ratingEngine ?? DEFAULT_ENGINE;
+    const {
+      total: delta,
+      perMatch,
+      state,
+    } = batchDeltas(session.players, session.matches, { engine, date: finishedAt });
+
+    // 2) Snapshot speichern (Jahresrangliste) – inkl. aller Begegnungen,
+    //    Start-TTRs und TTR-Änderung je Begegnung
     const snapshot = {
       id: uid(),
+      startedAt: session.startedAt,
       finishedAt,
       sessionId: session.id,
-      rounds: session.rounds,
+      rules: { ...rules },
+      ratingEngine: engine,
+      players: session.players.map(snapshotPlayer),
+      groups: session.groups ?? null,
+      koRounds: session.koRounds ?? null,
+      matches: (session.matches ?? []).map((m) => {
+        const d = perMatch.get(m.id);
+        return d ? { ...m, ...d } : { ...m };
+      }),
       standings: standings.map((s) => ({ ...s })),
     };
     setCompleted((prev) => [snapshot, ...prev]);
+    setAttendance((prev) =>
+      addRankingDay(prev, {
+        date: localDate(finishedAt),
+        playerIds: session.players.map((p) => p.id),
+        dayId: snapshot.id,
+      })
+    );
 
-    // 2) TTR-Update als BATCH nach Spieltag:
-    //    Für jede Begegnung rechnen wir mit den TTRs vom START des Spieltags (session.players).
-    const startRating = new Map(session.players.map((p) => [p.id, p.ttr]));
-    const delta = new Map(session.players.map((p) => [p.id, 0]));
-
-    for (const m of session.matches ?? []) {
-      if (m.byeId) continue; // Freilos: kein TTR-Change
-      if (m.scoreA === null || m.scoreB === null) continue;
-
-      const rA = startRating.get(m.aId);
-      const rB = startRating.get(m.bId);
-      if (!Number.isFinite(rA) || !Number.isFinite(rB)) continue;
-
-      const aWon = m.scoreA > m.scoreB;
-      const { deltaA, deltaB } = matchDelta(rA, rB, aWon, TTR_K);
-
-      delta.set(m.aId, (delta.get(m.aId) ?? 0) + deltaA);
-      delta.set(m.bId, (delta.get(m.bId) ?? 0) + deltaB);
-    }
+    // 3) Historie: vorher/nachher je Spieler mit den beteiligten Begegnungen
+    const currentTtr = new Map(players.map((p) => [p.id, Number.isFinite(p.ttr) ? p.ttr : DEFAULT_TTR]));
+    const entries = session.players.map((sp) => {
+      const before = currentTtr.get(sp.id) ?? sp.ttr;
+      return {
+        id: uid(),
+        playerId: sp.id,
+        date: finishedAt,
+        dayId: snapshot.id,
+        sessionId: session.id,
+        before,
+        after: before + (delta.get(sp.id) ?? 0),
+        matchIds: (session.matches ?? [])
+          .filter((m) => perMatch.has(m.id) && matchPlayerIds(m).includes(sp.id))
+          .map((m) => m.id),
+      };
+    });
+    setRatingLog((prev) => [...prev, ...entries]);
 
-    // Apply deltas auf "players" (deine Stammliste)
+    // 4) Apply deltas auf "players" (deine Stammliste), dazu Spielzahl usw.
+    //    für die Engine; wer nicht dabei war, wird bei Glicko-2 unsicherer
+    const present = new Set(session.players.map((p) => p.id));
     setPlayers((prev) =>
       prev.map((p) => {
+        if (!present.has(p.id)) return { ...p, ...idleState(engine, p) };
         const d = delta.get(p.id) ?? 0;
-        return { ...p, ttr: (Number.isFinite(p.ttr) ? p.ttr : DEFAULT_TTR) + d };
+        return { ...p, ...state.get(p.id), ttr: (Number.isFinite(p.ttr) ? p.ttr : DEFAULT_TTR) + d };
       })
     );
 
-    // 3) Session als abgeschlossen markieren (aber nicht löschen)
+    // 5) Session als abgeschlossen markieren (aber nicht löschen)
     setSession((prev) => ({
       ...prev,
       finished: true,
@@ -399,6 +914,7 @@ export default function App() {
       "Heutige Rangliste wirklich zurücksetzen?\n(Alle Runden & Ergebnisse dieser Session gehen verloren.)"
     );
     if (!ok) return;
+    track("Rangliste zurückgesetzt");
 
     setSession((prev) => ({
       ...prev,
@@ -409,68 +925,267 @@ export default function App() {
     }));
   }
 
+  // Archivierte Saisons bleiben erhalten
   function resetOverallRanking() {
     const ok = window.confirm(
-      "GESAMTRANGLISTE wirklich löschen?\n(Alle abgeschlossenen Trainingstage werden gelöscht.)"
+      "GESAMTRANGLISTE wirklich löschen?\n(Alle abgeschlossenen Trainingstage außerhalb archivierter Saisons werden gelöscht.)"
     );
     if (!ok) return;
-    setCompleted([]);
-  }
-
-  const overallStandings = useMemo(() => {
-    const agg = new Map();
-
-    for (const day of completed) {
-      for (const s of day.standings ?? []) {
-        const key = s.id ?? `name:${String(s.name).toLowerCase()}`;
-        if (!agg.has(key)) {
-          agg.set(key, {
-            id: s.id ?? null,
-            name: s.name ?? "—",
-            points: 0,
-            wins: 0,
-            losses: 0,
-            played: 0,
-            setsWon: 0,
-            setsLost: 0,
-            days: 0,
-          });
-        }
-        const a = agg.get(key);
-        a.points += s.points ?? 0;
-        a.wins += s.wins ?? 0;
-        a.losses += s.losses ?? 0;
-        a.played += s.played ?? 0;
-        a.setsWon += s.setsWon ?? 0;
-        a.setsLost += s.setsLost ?? 0;
-        a.days += 1;
-      }
+    track("Gesamtrangliste gelöscht", { sessionId: null });
+    setCompleted((prev) => prev.filter((d) => isArchived(seasons, d)));
+  }
+
+  function createSeason(draft) {
+    const err = validateSeason(seasons, draft);
+    if (err) return err;
+    track(`Saison „${draft.name.trim()}“ angelegt`, { sessionId: null });
+    setSeasons((prev) => [...prev, { id: uid(), name: draft.name.trim(), start: draft.start, end: draft.end, closed: false }]);
+    return null;
+  }
+
+  // Saison archivieren, Endtabelle mit der aktuellen Wertung einfrieren;
+  // optional starten danach alle wieder beim Start-TTR
+  function archiveSeason(seasonId, ttr) {
+    if (session && !session.finished) {
+      alert("Erst die laufende Rangliste abschließen oder verlassen.");
+      return;
     }
+    const season = seasons.find((s) => s.id === seasonId);
+    if (!season) return;
+    const ok = window.confirm(
+      `Saison „${season.name}“ abschließen?\nDie Trainingstage sind danach nur noch lesbar.` +
+        (ttr === "reset" ? `\nAlle Spieler starten wieder mit TTR ${DEFAULT_TTR}.` : "")
+    );
+    if (!ok) return;
+
+    track(`Saison „${season.name}“ abgeschlossen`, { sessionId: null });
+    const now = new Date();
+    setSeasons((prev) => prev.map((s) => (s.id === seasonId ? closeSeason(s, completed, overallMode, ttr, now) : s)));
+    if (ttr === "reset") {
+      // in der Historie vermerken, damit der Sprung im Verlauf erklärt ist
+      const entries = players
+        .filter((p) => Number.isFinite(p.ttr) && p.ttr !== DEFAULT_TTR)
+        .map((p) => ({
+          id: uid(),
+          playerId: p.id,
+          date: now.toISOString(),
+          dayId: null,
+          sessionId: null,
+          seasonId,
+          reset: true,
+          before: p.ttr,
+          after: DEFAULT_TTR,
+          matchIds: [],
+        }));
+      setRatingLog((prev) => [...prev, ...entries]);
+      setPlayers((prev) =>
+        prev.map((p) => {
+          const next = { ...p, ttr: DEFAULT_TTR };
+          delete next.rd;
+          delete next.vol;
+          return next;
+        })
+      );
+    }
+    setSeasonView(seasonId);
+  }
+
+  // Korrektur-Vorschau: welche aktuellen TTR-Werte würden sich ändern?
+  const previewCorrection = useCallback(
+    (matches) => {
+      const { shift } = replayCorrection(completed, ratingLog, editDayId, matches, seasons);
+      return players
+        .filter((p) => shift.get(p.id))
+        .map((p) => ({ id: p.id, name: p.name, before: p.ttr, after: p.ttr + shift.get(p.id) }))
+        .sort((a, b) => a.name.localeCompare(b.name, "de"));
+    },
+    [completed, ratingLog, editDayId, players, seasons]
+  );
+
+  function saveCorrection(matches) {
+    const result = replayCorrection(completed, ratingLog, editDayId, matches, seasons);
+    track(`Trainingstag vom ${new Date(editDay.finishedAt).toLocaleDateString("de-DE")} korrigiert`, {
+      sessionId: editDay.sessionId ?? null,
+    });
+    setCompleted(result.completed);
+    setRatingLog(result.ratingLog);
+    setPlayers((prev) => prev.map((p) => ({ ...p, ttr: p.ttr + (result.shift.get(p.id) ?? 0) })));
+    setEditDayId(null);
+  }
+
+  // Vergleich: alle Trainingstage mit einer anderen Engine neu gerechnet
+  const compareEngine = useCallback(
+    (engine) => {
+      const open = completed.filter((d) => !isArchived(seasons, d));
+      const next = new Map(recomputeHistory(open, ratingLog, players, engine).players.map((p) => [p.id, p]));
+      const played = new Set(ratingLog.map((e) => e.playerId));
+      return players
+        .filter((p) => played.has(p.id))
+        .map((p) => ({ id: p.id, name: p.name, before: p.ttr, after: next.get(p.id).ttr, rd: next.get(p.id).rd }))
+        .sort((a, b) => b.after - a.after || a.name.localeCompare(b.name, "de"));
+    },
+    [completed, ratingLog, players, seasons]
+  );
+
+  // Archivierte Saisons bleiben unverändert
+  function applyEngine(engine) {
+    if (session && !session.finished) {
+      alert("Erst die laufende Rangliste abschließen oder verlassen.");
+      return;
+    }
+    const ok = window.confirm(
+      "Alle Trainingstage (außer archivierten Saisons) mit dem neuen Wertungssystem neu berechnen?\n" +
+        "Die TTR-Werte aller Spieler werden ersetzt (auch von Hand geänderte)."
+    );
+    if (!ok) return;
+    track(`Neu berechnet mit ${RATING_ENGINES.find((e) => e.value === engine)?.short ?? engine}`, { sessionId: null });
+    const result = recomputeHistory(
+      completed.filter((d) => !isArchived(seasons, d)),
+      ratingLog,
+      players,
+      engine
+    );
+    const updated = new Map(result.completed.map((d) => [d.id, d]));
+    setCompleted((prev) => prev.map((d) => updated.get(d.id) ?? d));
+    setRatingLog(result.ratingLog);
+    setPlayers(result.players);
+    setClub((prev) => ({ ...prev, ratingEngine: engine }));
+  }
+
+  // Gesamtrangliste: laufende Saison, eine ältere Saison oder alle Tage ("all")
+  const viewSeason = useMemo(() => {
+    if (seasonView === "all") return null;
+    return seasons.find((s) => s.id === seasonView) ?? currentSeason(seasons);
+  }, [seasons, seasonView]);
+
+  const seasonCompleted = useMemo(
+    () => (viewSeason ? completed.filter((d) => inSeason(viewSeason, d.finishedAt)) : completed),
+    [completed, viewSeason]
+  );
+
+  const completedByDate = useMemo(() => [...seasonCompleted].sort(byFinishedAt).reverse(), [seasonCompleted]);
+
+  const overallMode = useMemo(() => overallSettings(club.overall), [club]);
+
+  // archivierte Saison: eingefrorene Endtabelle mit ihrer damaligen Wertung
+  const overallStandings = useMemo(
+    () => (viewSeason?.closed ? viewSeason.final.standings : computeOverall(seasonCompleted, overallMode)),
+    [viewSeason, seasonCompleted, overallMode]
+  );
+  const viewOverallMode = viewSeason?.closed ? viewSeason.final.overall : overallMode;
+
+  // Gesamtrangliste einer Altersklasse/eines Geschlechts (Plätze neu gezählt).
+  // Maßgeblich ist das Profil in der Stammliste.
+  const filteredOverall = useMemo(() => {
+    if (!rankingFilter.ageClass && !rankingFilter.gender) return overallStandings;
+    const byId = new Map(players.map((p) => [p.id, p]));
+    return overallStandings.filter((s) => s.id && byId.has(s.id) && matchesFilter(byId.get(s.id), rankingFilter, cutoff));
+  }, [overallStandings, players, rankingFilter, cutoff]);
+
+  // --- Exporte: CSV-Download und Druckansicht ---
+  function dailyMeta(title) {
+    return {
+      club: club.name,
+      title,
+      date: session.finishedAt ?? new Date().toISOString(),
+      notes: [rulesSummary(rules), TTR_NOTE],
+    };
+  }
+
+  function overallMeta() {
+    return {
+      club: club.name,
+      title: filterLabel(rankingFilter) ? `Gesamtrangliste ${filterLabel(rankingFilter)}` : "Gesamtrangliste",
+      date: new Date().toISOString(),
+      notes: [
+        `${viewSeason ? `${viewSeason.name}. ` : ""}Abgeschlossene Trainingstage: ${seasonCompleted.length}. ` +
+          `Wertung: ${overallLabel(viewOverallMode)}.`,
+        rankingFilter.ageClass ? `Altersklassen zum Stichtag ${cutoffDate(cutoff).toLocaleDateString("de-DE")}.` : null,
+      ].filter(Boolean),
+    };
+  }
+
+  function exportDaily(kind) {
+    const meta = dailyMeta(`Tabelle vom ${new Date(session.startedAt).toLocaleDateString("de-DE")}`);
+    if (kind === "csv") downloadFile(`tabelle-${fileDate(session.startedAt)}.csv`, standingsCSV(standings, meta));
+    else printPage(meta, standingsHTML(standings));
+  }
+
+  function exportPairings(kind) {
+    const meta = dailyMeta(`Paarungen vom ${new Date(session.startedAt).toLocaleDateString("de-DE")}`);
+    const matches = session.matches ?? [];
+    if (kind === "csv") downloadFile(`paarungen-${fileDate(session.startedAt)}.csv`, pairingsCSV(matches, nameById, meta));
+    else printPage(meta, pairingsHTML(matches, nameById));
+  }
+
+  function exportOverall(kind) {
+    const meta = overallMeta();
+    if (kind === "csv") downloadFile(`gesamtrangliste-${fileDate()}.csv`, standingsCSV(filteredOverall, meta));
+    else printPage(meta, standingsHTML(filteredOverall));
+  }
+
+  function exportAttendance(kind, season) {
+    const report = attendanceReport(attendance, players, season);
+    const meta = {
+      club: club.name,
+      title: `Anwesenheit ${season ? season.name : "alle Trainingstage"}`,
+      date: new Date().toISOString(),
+      notes: [`Trainingstage: ${report.trainings.length}. Quote = anwesend / Trainingstage im Zeitraum.`],
+    };
+    if (kind === "csv") downloadFile(`anwesenheit-${fileDate()}.csv`, attendanceCSV(report, meta));
+    else printPage(meta, attendanceHTML(report));
+  }
+
+  const sessionActivity = useMemo(
+    () => (session ? activity.filter((e) => e.sessionId === session.id) : []),
+    [activity, session]
+  );
 
-    const arr = Array.from(agg.values());
-    arr.sort((x, y) => {
-      const sdX = x.setsWon - x.setsLost;
-      const sdY = y.setsWon - y.setsLost;
-      if (y.points !== x.points) return y.points - x.points;
-      if (sdY !== sdX) return sdY - sdX;
-      if (y.wins !== x.wins) return y.wins - x.wins;
-      return x.name.localeCompare(y.name, "de");
+  // Hallenanzeige (?anzeige) in anderen Tabs aktuell halten
+  const liveSnapshot = useMemo(
+    () =>
+      liveState({
+        session,
+        rules,
+        standings,
+        roundMatches: currentRoundMatches,
+        nameById,
+        clubName: club.name,
+      }),
+    [session, rules, standings, currentRoundMatches, nameById, club]
+  );
+  const liveChannel = useRef(null);
+  const liveLatest = useRef(null);
+
+  useEffect(() => {
+    const channel = openLiveChannel((message) => {
+      if (message?.type === "hello") channel.post({ type: "state", state: liveLatest.current });
     });
-    return arr;
-  }, [completed]);
+    liveChannel.current = channel;
+    return () => {
+      channel?.close();
+      liveChannel.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    liveLatest.current = liveSnapshot;
+    liveChannel.current?.post({ type: "state", state: liveSnapshot });
+  }, [liveSnapshot]);
 
   const drawButtonLabel = useMemo(() => {
     if (!session) return "";
-    if (session.currentRound === 0) return "Runde 1 auslosen";
-    const next = session.currentRound + 1;
-    return next <= session.rounds ? `Runde ${next} auslosen` : "Alle Runden gelost";
-  }, [session]);
+    const verb = session.schedule ? "starten" : "auslosen";
+    const next = (session.currentRound ?? 0) + 1;
+    if (next <= rules.rounds) return `Runde ${next} ${verb}`;
+    return session.schedule ? "Alle Runden gestartet" : "Alle Runden gelost";
+  }, [session, rules]);
 
   const drawDisabled = useMemo(() => {
     if (!session) return true;
     if (session.finished) return true;
-    return session.currentRound >= session.rounds;
-  }, [session]);
+    return session.currentRound >= rules.rounds;
+  }, [session, rules]);
 
   return (
     <div style={{ maxWidth: 900, margin: "40px auto", padding: 16, fontFamily: "system-ui" }}>
@@ -478,15 +1193,80 @@ export default function App() {
       <p style={{ marginTop: 0, color: "#555" }}>
         Spieler anlegen · Anwesenheit setzen · Rangliste starten
       </p>
-
-      {session ? (
+      <UndoBar
+        undoText={history.past[history.past.length - 1]?.text ?? null}
+        redoText={history.future[history.future.length - 1]?.text ?? null}
+        editor={editor}
+        onUndo={undo}
+        onRedo={redo}
+        onEditor={setEditor}
+      />
+      {syncUrl ? <SyncBanner status={syncStatus} notices={syncNotices} onDismiss={() => setSyncNotices([])} /> : null}
+      <StorageIndicator />
+      {!session ? (
+        <label style={{ display: "flex", gap: 6, alignItems: "center", color: "#555", fontSize: 13 }}>
+          Verein (für Ausdrucke):
+          <input
+            value={club.name}
+            onChange={(e) => changeClub("Vereinsname geändert", "club-name", { name: e.target.value })}
+            placeholder="z.B. TTC Musterstadt"
+            style={{ padding: 6, flex: 1, maxWidth: 300 }}
+          />
+          Stichtag Altersklassen:
+          <input
+            type="date"
+            value={cutoff}
+            onChange={(e) => changeClub("Stichtag Altersklassen geändert", "club-cutoff", { ageCutoff: e.target.value })}
+            style={{ padding: 6 }}
+          />
+        </label>
+      ) : null}
+
+      {editDay ? (
+        <DayEditor
+          key={editDay.id}
+          day={editDay}
+          preview={previewCorrection}
+          onSave={saveCorrection}
+          onCancel={() => setEditDayId(null)}
+        />
+      ) : profilePlayer ? (
+        <PlayerProfile
+          key={profilePlayer.id}
+          player={profilePlayer}
+          ratingLog={ratingLog}
+          completed={completed}
+          attendance={attendance}
+          seasons={seasons}
+          players={sortedPlayers}
+          cutoff={cutoff}
+          onRename={(name) => renamePlayerTo(profilePlayer.id, name)}
+          onMerge={(otherId) => mergePlayerInto(profilePlayer.id, otherId)}
+          onArchive={() => (profilePlayer.archived ? restorePlayer : archivePlayer)(profilePlayer.id)}
+          onUpdate={(fields) => updatePlayer(profilePlayer.id, fields)}
+          onBack={() => setProfileId(null)}
+        />
+      ) : session ? (
         <div style={{ border: "1px solid #ddd", borderRadius: 10, padding: 16, marginTop: 16 }}>
           <h2 style={{ marginTop: 0 }}>{session.finished ? "Rangliste abgeschlossen" : "Rangliste läuft"}</h2>
 
           <div style={{ color: "#555", fontSize: 13, marginBottom: 10 }}>
             Gestartet: {new Date(session.startedAt).toLocaleString("de-DE")}
             {" · "}Teilnehmer: <b>{session.players.length}</b>
-            {" · "}Runden: <b>{session.rounds}</b>
+            {" · "}Runden: <b>{rules.rounds}</b>
+            {session.schedule ? (
+              <>
+                {" · "}Modus: <b>{SESSION_TYPES.find((t) => t.value === rules.type)?.label}</b>
+              </>
+            ) : rules.type === "doubles" ? (
+              <>
+                {" · "}Doppel: <b>{DOUBLES_MODES.find((o) => o.value === rules.doubles)?.label}</b>
+              </>
+            ) : (
+              <>
+                {" · "}Auslosung: <b>{PAIRING_MODES.find((o) => o.value === rules.pairing)?.label}</b>
+              </>
+            )}
             {" · "}Aktuell: <b>Runde {session.currentRound}</b>
             {session.finishedAt ? (
               <>
@@ -504,7 +1284,7 @@ export default function App() {
               onClick={finishRanking}
               disabled={!canFinish}
               style={{ padding: "10px 14px" }}
-              title={!canFinish ? "Erst alle Ergebnisse bis Runde 6 eintragen" : ""}
+              title={!canFinish ? `Erst alle Ergebnisse bis Runde ${rules.rounds} eintragen` : ""}
             >
               Rangliste abschließen
             </button>
@@ -517,18 +1297,118 @@ export default function App() {
               Heutige Rangliste zurücksetzen
             </button>
 
+            <button
+              onClick={() => window.open(displayUrl(), "vereinsapp-anzeige")}
+              style={{ padding: "10px 14px" }}
+              title="Paarungen, Tabelle und Ergebnisse für Beamer/Fernseher in einem neuen Tab"
+            >
+              Hallenanzeige öffnen
+            </button>
+
             <button onClick={endSession} style={{ padding: "10px 14px" }}>
               Zurück zur Startseite
             </button>
           </div>
 
+          {!session.finished ? (
+            <SessionPlayers
+              session={session}
+              players={rosterPlayers}
+              canJoin={!session.schedule && !session.teams}
+              canWithdraw={rules.type !== "tournament" && !session.teams}
+              onAdd={addLatePlayer}
+              onWithdraw={setWithdrawn}
+            />
+          ) : null}
+
+          {!session.finished ? (
+            <HallBoard
+              matches={currentRoundMatches}
+              tables={rules.tables}
+              nameById={nameById}
+              onTables={setTables}
+            />
+          ) : null}
+
           {session.currentRound > 0 && (
             <div style={{ marginTop: 14 }}>
-              <h3 style={{ marginBottom: 8 }}>Paarungen & Ergebnisse – Runde {session.currentRound}</h3>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+                <h3 style={{ marginBottom: 8 }}>Paarungen & Ergebnisse – Runde {session.currentRound}</h3>
+                <div style={{ display: "flex", gap: 6 }}>
+                  {canEditRound ? (
+                    <>
+                      <button onClick={redrawRound} style={{ padding: "6px 10px" }}>
+                        Neu auslosen
+                      </button>
+                      <button onClick={() => setEditPairings((v) => !v)} style={{ padding: "6px 10px" }}>
+                        {editPairings ? "Bearbeiten beenden" : "Paarungen bearbeiten"}
+                      </button>
+                    </>
+                  ) : null}
+                  <ExportButtons onExport={exportPairings} />
+                </div>
+              </div>
+
+              {roundRepeats.length > 0 && !(canEditRound && editPairings) ? (
+                <div
+                  style={{
+                    marginBottom: 8,
+                    padding: 10,
+                    border: "1px solid #f0c36d",
+                    background: "#fff8e6",
+                    borderRadius: 8,
+                    fontSize: 13,
+                  }}
+                >
+                  <b>Achtung, Wiederholung:</b>{" "}
+                  {roundRepeats.map((m) => `${sideName(m, "a", nameById)} – ${sideName(m, "b", nameById)}`).join(", ")}.
+                  Ohne Wiederholung ging die Auslosung nicht auf{canEditRound ? " – bei Bedarf Paarungen bearbeiten" : ""}.
+                </div>
+              ) : null}
+
+              {canEditRound && editPairings ? (
+                <PairingEditor
+                  matches={currentRoundMatches.filter((m) => !m.late)}
+                  nameById={nameById}
+                  playedBefore={playedBefore}
+                  onSwap={swapPlayers}
+                />
+              ) : (
+                <div style={{ border: "1px solid #eee", borderRadius: 10, overflow: "hidden" }}>
+                  {currentRoundMatches.map((m, idx) => {
+                    if (m.byeId) {
+                      return (
+                        <div
+                          key={m.id}
+                          style={{
+                            padding: 12,
+                            borderTop: idx === 0 ? "none" : "1px solid #f0f0f0",
+                            display: "flex",
+                            justifyContent: "space-between",
+                          }}
+                        >
+                          <div style={{ fontWeight: 600, color: "#111" }}>
+                            {matchLabel(m)}
+                            {nameById.get(m.byeId) ?? "?"}
+                          </div>
+                          <div style={{ color: "#666", fontSize: 12 }}>
+                            {m.unplayed
+                              ? "FÄLLT AUS (Gegner abgemeldet)"
+                              : m.stage === "ko"
+                                ? "FREILOS (weiter)"
+                                : m.group
+                                  ? "SPIELFREI"
+                                  : rules.byeMode === "excluded"
+                                    ? "PAUSE (nicht gewertet)"
+                                    : `PAUSE (+${byeValue(rules)} Punkte)`}
+                          </div>
+                        </div>
+                      );
+                    }
+
+                    const aName = sideName(m, "a", nameById);
+                    const bName = sideName(m, "b", nameById);
 
-              <div style={{ border: "1px solid #eee", borderRadius: 10, overflow: "hidden" }}>
-                {currentRoundMatches.map((m, idx) => {
-                  if (m.byeId) {
                     return (
                       <div
                         key={m.id}
@@ -537,195 +1417,233 @@ export default function App() {
                           borderTop: idx === 0 ? "none" : "1px solid #f0f0f0",
                           display: "flex",
                           justifyContent: "space-between",
+                          gap: 12,
+                          alignItems: "center",
                         }}
                       >
                         <div style={{ fontWeight: 600, color: "#111" }}>
-                          {nameById.get(m.byeId) ?? "?"}
+                          {tableLabel(m)}
+                          {matchLabel(m)}
+                          {aName} <span style={{ color: "#666", fontWeight: 400 }}>vs</span> {bName}
                         </div>
-                        <div style={{ color: "#666", fontSize: 12 }}>PAUSE (+2 Punkte)</div>
-                      </div>
-                    );
-                  }
-
-                  const aName = nameById.get(m.aId) ?? "?";
-                  const bName = nameById.get(m.bId) ?? "?";
-                  const currentValue =
-                    m.scoreA === null || m.scoreB === null ? "" : `${m.scoreA}-${m.scoreB}`;
-
-                  return (
-                    <div
-                      key={m.id}
-                      style={{
-                        padding: 12,
-                        borderTop: idx === 0 ? "none" : "1px solid #f0f0f0",
-                        display: "flex",
-                        justifyContent: "space-between",
-                        gap: 12,
-                        alignItems: "center",
-                      }}
-                    >
-                      <div style={{ fontWeight: 600, color: "#111" }}>
-                        {aName} <span style={{ color: "#666", fontWeight: 400 }}>vs</span> {bName}
-                      </div>
 
-                      <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
-                        <span style={{ color: "#666", fontSize: 12 }}>Ergebnis:</span>
-                        <select
-                          value={currentValue}
-                          onChange={(e) => setMatchResult(m.id, e.target.value)}
+                        <ResultEditor
+                          match={m}
+                          format={rules.format}
                           disabled={session.finished}
-                          style={{ padding: "8px 10px" }}
-                        >
-                          {RESULT_OPTIONS.map((o) => (
-                            <option key={o.value} value={o.value}>
-                              {o.label}
-                            </option>
-                          ))}
-                        </select>
+                          onResult={(value) => setMatchResult(m.id, value)}
+                          onSets={(sets) => setMatchSets(m.id, sets)}
+                        />
                       </div>
-                    </div>
-                  );
-                })}
-              </div>
+                    );
+                  })}
+                </div>
+              )}
 
               <div style={{ marginTop: 18 }}>
-                <h3 style={{ marginBottom: 8 }}>Tabelle (heute)</h3>
-
-                <div style={{ border: "1px solid #eee", borderRadius: 10, overflow: "hidden" }}>
-                  <div
-                    style={{
-                      display: "grid",
-                      gridTemplateColumns: "40px 1fr 80px 80px 80px 140px",
-                      padding: 10,
-                      background: "#f7f7f7",
-                      fontWeight: 600,
-                      fontSize: 13,
-                      color: "#111",
-                      gap: 8,
-                    }}
-                  >
-                    <div>#</div>
-                    <div>Name</div>
-                    <div>Pkt</div>
-                    <div>Sp</div>
-                    <div>S/N</div>
-                    <div>Sätze</div>
-                  </div>
-
-                  {standings.map((s, i) => (
-                    <div
-                      key={s.id}
-                      style={{
-                        display: "grid",
-                        gridTemplateColumns: "40px 1fr 80px 80px 80px 140px",
-                        padding: 10,
-                        borderTop: "1px solid #f0f0f0",
-                        gap: 8,
-                        alignItems: "center",
-                      }}
-                    >
-                      <div>{i + 1}</div>
-                      <div style={{ fontWeight: 600, color: "#111" }}>{s.name}</div>
-                      <div>{s.points}</div>
-                      <div>{s.played}</div>
-                      <div>
-                        {s.wins}/{s.losses}
-                      </div>
-                      <div>
-                        {s.setsWon}:{s.setsLost} ({s.setsWon - s.setsLost >= 0 ? "+" : ""}
-                        {s.setsWon - s.setsLost})
-                      </div>
-                    </div>
-                  ))}
+                {rules.type === "tournament" ? (
+                  <TournamentView session={session} rules={rules} nameById={nameById} />
+                ) : null}
+
+                <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+                  <h3 style={{ marginBottom: 8, marginTop: rules.type === "tournament" ? 18 : undefined }}>
+                    {rules.type === "tournament" ? "Gesamtstand (heute)" : "Tabelle (heute)"}
+                  </h3>
+                  <ExportButtons onExport={exportDaily} />
                 </div>
 
+                <StandingsTable rows={standings} showBalls={rules.ballTiebreak} />
+
                 <div style={{ marginTop: 10, color: "#555", fontSize: 12 }}>
-                  Ergebnisse: 3–0, 2–1, 1–2, 0–3. Freilos: +2 Punkte, keine Satzwertung.
+                  {rulesSummary(rules)}
+                  {rules.type === "doubles" ? (
+                    <>
+                      {" "}Doppel: Jeder Spieler bekommt das Ergebnis seiner Seite gutgeschrieben. TTR-Erwartung
+                      aus dem Mittel beider TTRs je Seite, beide Partner bekommen dieselbe Änderung (halber
+                      K-Faktor).
+                    </>
+                  ) : !session.schedule && rules.pairing === "swiss" ? (
+                    <>
+                      {" "}Schweizer System: Setzliste nach Punkten, bei Gleichstand nach TTR. Von oben
+                      nach unten spielt jeder gegen den nächsten, gegen den er noch nicht gespielt hat.
+                      Freilos bekommt der Letzte mit den wenigsten Freilosen.
+                    </>
+                  ) : null}
                 </div>
               </div>
             </div>
           )}
 
           <div style={{ marginTop: 12, color: "#555", fontSize: 13 }}>
-            Hinweis: TTR wird erst beim Abschließen des Spieltags aktualisiert.
+            Hinweis: {TTR_NOTE}
           </div>
+
+          <ActivityLog title="Verlauf dieser Rangliste" entries={sessionActivity} />
         </div>
       ) : (
         <>
           <div style={{ border: "1px solid #ddd", borderRadius: 10, padding: 16, marginTop: 16 }}>
             <div style={{ display: "flex", justifyContent: "space-between", gap: 12, flexWrap: "wrap" }}>
               <div>
-                <h2 style={{ marginTop: 0, marginBottom: 6 }}>Gesamtrangliste</h2>
-                <div style={{ color: "#555", fontSize: 13 }}>
-                  Abgeschlossene Trainingstage: <b>{completed.length}</b>
+                <h2 style={{ marginTop: 0, marginBottom: 6 }}>
+                  Gesamtrangliste{" "}
+                  <span style={{ color: "#555", fontWeight: 400, fontSize: 14 }}>({overallLabel(viewOverallMode)})</span>
+                </h2>
+                <div style={{ color: "#555", fontSize: 13, display: "flex", gap: 8, alignItems: "center" }}>
+                  {seasons.length > 0 ? (
+                    <select
+                      value={viewSeason?.id ?? "all"}
+                      onChange={(e) => setSeasonView(e.target.value)}
+                      style={{ padding: "6px 8px" }}
+                    >
+                      <option value="all">Alle Trainingstage</option>
+                      {[...seasons]
+                        .sort((a, b) => b.start.localeCompare(a.start))
+                        .map((se) => (
+                          <option key={se.id} value={se.id}>
+                            {se.name}
+                            {se.closed ? " (archiviert)" : ""}
+                          </option>
+                        ))}
+                    </select>
+                  ) : null}
+                  <span>
+                    Abgeschlossene Trainingstage: <b>{seasonCompleted.length}</b>
+                  </span>
                 </div>
+                {viewSeason?.closed ? (
+                  <div style={{ color: "#666", fontSize: 12, marginTop: 6 }}>
+                    Archiviert am {new Date(viewSeason.closedAt).toLocaleDateString("de-DE")} – nur lesen, Endtabelle
+                    wie beim Abschluss.
+                  </div>
+                ) : (
+                  <OverallSettings
+                    value={overallMode}
+                    onChange={(overall) => changeClub("Einstellung Gesamtrangliste geändert", "club-overall", { overall })}
+                  />
+                )}
               </div>
-              <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
-                <button onClick={resetOverallRanking} style={{ padding: "10px 14px" }}>
-                  Gesamtrangliste löschen
-                </button>
+              <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+                {overallStandings.length > 0 ? (
+                  <PlayerFilter value={rankingFilter} onChange={setRankingFilter} />
+                ) : null}
+                {filteredOverall.length > 0 ? <ExportButtons onExport={exportOverall} /> : null}
+                {viewSeason?.closed ? null : (
+                  <button onClick={resetOverallRanking} style={{ padding: "10px 14px" }}>
+                    Gesamtrangliste löschen
+                  </button>
+                )}
               </div>
             </div>
 
-            {overallStandings.length === 0 ? (
+            {seasonCompleted.length === 0 && !viewSeason?.closed ? (
               <div style={{ color: "#777", marginTop: 10 }}>Noch keine abgeschlossenen Ranglisten.</div>
+            ) : filteredOverall.length === 0 ? (
+              <div style={{ color: "#777", marginTop: 10 }}>
+                Noch niemand in dieser Auswahl
+                {filterLabel(rankingFilter) ? " (Geburtsjahr/Geschlecht im Spielerprofil eintragen)" : ""}.
+              </div>
             ) : (
-              <div style={{ border: "1px solid #eee", borderRadius: 10, overflow: "hidden", marginTop: 12 }}>
-                <div
-                  style={{
-                    display: "grid",
-                    gridTemplateColumns: "40px 1fr 80px 80px 80px 140px",
-                    padding: 10,
-                    background: "#f7f7f7",
-                    fontWeight: 600,
-                    fontSize: 13,
-                    color: "#111",
-                    gap: 8,
-                  }}
-                >
-                  <div>#</div>
-                  <div>Name</div>
-                  <div>Pkt</div>
-                  <div>Sp</div>
-                  <div>S/N</div>
-                  <div>Sätze</div>
-                </div>
-
-                {overallStandings.map((s, i) => (
-                  <div
-                    key={s.id ?? `${s.name}-${i}`}
-                    style={{
-                      display: "grid",
-                      gridTemplateColumns: "40px 1fr 80px 80px 80px 140px",
-                      padding: 10,
-                      borderTop: "1px solid #f0f0f0",
-                      gap: 8,
-                      alignItems: "center",
-                    }}
-                  >
-                    <div>{i + 1}</div>
-                    <div style={{ fontWeight: 600, color: "#111" }}>{s.name}</div>
-                    <div>{s.points}</div>
-                    <div>{s.played}</div>
-                    <div>
-                      {s.wins}/{s.losses}
-                    </div>
-                    <div>
-                      {s.setsWon}:{s.setsLost} ({s.setsWon - s.setsLost >= 0 ? "+" : ""}
-                      {s.setsWon - s.setsLost})
-                    </div>
-                  </div>
-                ))}
+              <div style={{ marginTop: 12 }}>
+                <StandingsTable rows={filteredOverall} />
               </div>
             )}
-          </div>
 
-          <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
-            <button onClick={startRanking} style={{ padding: "10px 14px" }}>
-              Rangliste starten
-            </button>
+            {completedByDate.length > 0 ? (
+              <details style={{ marginTop: 12 }}>
+                <summary style={{ cursor: "pointer", color: "#555" }}>Trainingstage</summary>
+                <div style={{ border: "1px solid #eee", borderRadius: 10, overflow: "hidden", marginTop: 8 }}>
+                  {completedByDate.map((d, idx) => (
+                    <div
+                      key={d.id}
+                      style={{
+                        display: "flex",
+                        justifyContent: "space-between",
+                        alignItems: "center",
+                        gap: 8,
+                        padding: 10,
+                        borderTop: idx === 0 ? "none" : "1px solid #f0f0f0",
+                        fontSize: 13,
+                      }}
+                    >
+                      <div>
+                        <b>{new Date(d.finishedAt).toLocaleDateString("de-DE")}</b> ·{" "}
+                        {(d.players ?? d.standings ?? []).length} Teilnehmer
+                      </div>
+                      {viewSeason?.closed || isArchived(seasons, d) ? (
+                        <span style={{ color: "#999" }}>archiviert</span>
+                      ) : d.matches?.length ? (
+                        <button onClick={() => setEditDayId(d.id)} style={{ padding: "6px 10px" }}>
+                          Korrigieren
+                        </button>
+                      ) : (
+                        <span style={{ color: "#999" }}>ohne Einzelergebnisse</span>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </details>
+            ) : null}
           </div>
 
+          <AttendancePanel
+            attendance={attendance}
+            players={sortedPlayers}
+            seasons={seasons}
+            activeCount={activeCount}
+            onSave={saveAttendance}
+            onRemove={removeAttendance}
+            onExport={exportAttendance}
+          />
+
+          <SeasonPanel seasons={seasons} completed={completed} onCreate={createSeason} onClose={archiveSeason} />
+
+          <RatingEnginePanel
+            engine={club.ratingEngine ?? DEFAULT_ENGINE}
+            onChange={(engine) =>
+              changeClub(
+                `Wertungssystem: ${RATING_ENGINES.find((e) => e.value === engine)?.short ?? engine}`,
+                "club-engine",
+                { ratingEngine: engine }
+              )
+            }
+            onCompare={compareEngine}
+            onApply={applyEngine}
+          />
+
+          <BackupPanel onExport={exportBackup} onImport={importBackup} />
+
+          <SyncPanel
+            url={syncUrl}
+            onConnect={(url, code) => {
+              setSyncCode(code);
+              setSyncUrl(url);
+            }}
+            onDisconnect={() => setSyncUrl("")}
+          />
+
+          <ActivityLog title="Letzte Änderungen" entries={activity.slice(-30)} />
+
+          {completed.some((d) => d.matches?.length) ? (
+            <HeadToHead players={knownPlayers(players, completed)} completed={completed} />
+          ) : null}
+
+          {setup ? (
+            <SessionSetup
+              value={setup}
+              onChange={setSetup}
+              onStart={startRanking}
+              onCancel={() => setSetup(null)}
+              activeCount={activeCount}
+            />
+          ) : (
+            <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
+              <button onClick={openSetup} style={{ padding: "10px 14px" }}>
+                Rangliste starten
+              </button>
+            </div>
+          )}
+
           <form onSubmit={addPlayer} style={{ display: "flex", gap: 8, margin: "16px 0" }}>
             <input
               value={name}
@@ -738,9 +1656,10 @@ export default function App() {
 
           <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
             <h2 style={{ margin: "12px 0" }}>Spielerliste</h2>
-            <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+            <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+              <PlayerFilter value={listFilter} onChange={setListFilter} />
               <span style={{ color: "#555" }}>
-                Aktiv (anwesend): <b>{activeCount}</b> / {players.length}
+                Aktiv (anwesend): <b>{activeCount}</b> / {rosterPlayers.length}
               </span>
               <button onClick={() => setAllActive(true)} style={{ padding: "8px 10px" }}>
                 Alle an
@@ -752,10 +1671,12 @@ export default function App() {
           </div>
 
           <div style={{ border: "1px solid #ddd", borderRadius: 10, overflow: "hidden" }}>
-            {sortedPlayers.length === 0 ? (
+            {rosterPlayers.length === 0 ? (
               <div style={{ padding: 16, color: "#777" }}>Noch keine Spieler angelegt.</div>
+            ) : visiblePlayers.length === 0 ? (
+              <div style={{ padding: 16, color: "#777" }}>Keine Spieler in {filterLabel(listFilter)}.</div>
             ) : (
-              sortedPlayers.map((p, idx) => (
+              visiblePlayers.map((p, idx) => (
                 <div
                   key={p.id}
                   style={{
@@ -769,17 +1690,81 @@ export default function App() {
                 >
                   <input type="checkbox" checked={p.active} onChange={() => toggleActive(p.id)} />
                   <div style={{ flex: 1 }}>
-                    <div style={{ fontWeight: 600, color: "#111" }}>{p.name}</div>
-                    <div style={{ fontSize: 12, color: "#666" }}>TTR: {p.ttr}</div>
+                    <button
+                      onClick={() => setProfileId(p.id)}
+                      style={{
+                        font: "inherit",
+                        fontWeight: 600,
+                        color: "#111",
+                        background: "none",
+                        border: "none",
+                        padding: 0,
+                        cursor: "pointer",
+                        textDecoration: "underline",
+                      }}
+                    >
+                      {p.name}
+                    </button>
+                    <div style={{ fontSize: 12, color: "#666" }}>
+                      {[`TTR: ${p.ttr}`, ageClass(p.birthYear, cutoff), genderLabel(p.gender)]
+                        .filter(Boolean)
+                        .join(" · ")}
+                    </div>
                   </div>
-                  <button onClick={() => removePlayer(p.id)} style={{ padding: "8px 10px" }}>
-                    Löschen
+                  <button onClick={() => archivePlayer(p.id)} style={{ padding: "8px 10px" }}>
+                    Archivieren
                   </button>
                 </div>
               ))
             )}
           </div>
 
+          {archivedPlayers.length > 0 ? (
+            <details style={{ marginTop: 12 }}>
+              <summary style={{ cursor: "pointer" }}>Archivierte Spieler ({archivedPlayers.length})</summary>
+              <div style={{ border: "1px solid #eee", borderRadius: 10, overflow: "hidden", marginTop: 8 }}>
+                {archivedPlayers.map((p, idx) => (
+                  <div
+                    key={p.id}
+                    style={{
+                      display: "flex",
+                      alignItems: "center",
+                      gap: 8,
+                      padding: 10,
+                      borderTop: idx === 0 ? "none" : "1px solid #f0f0f0",
+                      fontSize: 13,
+                    }}
+                  >
+                    <button
+                      onClick={() => setProfileId(p.id)}
+                      style={{
+                        font: "inherit",
+                        color: "#555",
+                        background: "none",
+                        border: "none",
+                        padding: 0,
+                        cursor: "pointer",
+                        textDecoration: "underline",
+                        flex: 1,
+                        textAlign: "left",
+                      }}
+                    >
+                      {p.name} · TTR {p.ttr}
+                    </button>
+                    <button onClick={() => restorePlayer(p.id)} style={{ padding: "6px 10px" }}>
+                      Wiederherstellen
+                    </button>
+                    {hasHistory(currentData(), p.id) ? null : (
+                      <button onClick={() => removePlayer(p.id)} style={{ padding: "6px 10px" }}>
+                        Endgültig löschen
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </details>
+          ) : null}
+
           <div style={{ marginTop: 18, color: "#555", fontSize: 13 }}>
             Hinweis: Neue Spieler starten bei TTR {DEFAULT_TTR}. TTR wird nach jedem abgeschlossenen Spieltag aktualisiert.
           </div>
@@ -0,0 +1,149 @@
+import { useState } from "react";
+import ExportButtons from "./ExportButtons.jsx";
+import { attendanceReport, monthLabel, percent } from "./attendance.js";
+import { currentSeason, localDate } from "./seasons.js";
+
+function formatDate(date) {
+  return new Date(`${date}T00:00:00`).toLocaleDateString("de-DE");
+}
+
+const cell = { padding: "6px 8px", borderTop: "1px solid #f0f0f0", whiteSpace: "nowrap" };
+
+// Trainingsbuch: Anwesenheit (angehakte Spieler) pro Tag speichern, Quoten je
+// Monat und Saison, Export für den Jahresbericht
+export default function AttendancePanel({ attendance, players, seasons, activeCount, onSave, onRemove, onExport }) {
+  const [date, setDate] = useState(() => localDate());
+  const [note, setNote] = useState("");
+  const [periodId, setPeriodId] = useState(() => currentSeason(seasons)?.id ?? "all");
+
+  const season = seasons.find((s) => s.id === periodId) ?? null;
+  const report = attendanceReport(attendance, players, season);
+  const existing = attendance.find((e) => e.date === date);
+
+  function save() {
+    if (activeCount === 0) {
+      alert("Keine Spieler angehakt.");
+      return;
+    }
+    if (existing && !window.confirm(`Anwesenheit vom ${formatDate(date)} mit den angehakten Spielern überschreiben?`)) {
+      return;
+    }
+    onSave({ date, note });
+    setNote("");
+  }
+
+  return (
+    <div style={{ border: "1px solid #ddd", borderRadius: 10, padding: 16, marginTop: 16 }}>
+      <h2 style={{ marginTop: 0 }}>Training & Anwesenheit</h2>
+
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+        <input type="date" value={date} onChange={(e) => setDate(e.target.value)} style={{ padding: 6 }} />
+        <input
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder={existing?.note || "Inhalt, z.B. Aufschlagtraining"}
+          style={{ padding: 6, flex: 1, minWidth: 200 }}
+        />
+        <button onClick={save} disabled={!date} style={{ padding: "8px 10px" }}>
+          Anwesenheit speichern ({activeCount})
+        </button>
+      </div>
+      <div style={{ color: "#666", fontSize: 12, marginTop: 6 }}>
+        Gespeichert werden die angehakten Spieler der Spielerliste. Abgeschlossene Ranglisten werden automatisch
+        eingetragen.
+      </div>
+
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginTop: 14 }}>
+        <select value={periodId} onChange={(e) => setPeriodId(e.target.value)} style={{ padding: "6px 8px" }}>
+          <option value="all">Alle Trainingstage</option>
+          {[...seasons]
+            .sort((a, b) => b.start.localeCompare(a.start))
+            .map((s) => (
+              <option key={s.id} value={s.id}>
+                {s.name}
+              </option>
+            ))}
+        </select>
+        <span style={{ color: "#555", fontSize: 13 }}>
+          Trainingstage: <b>{report.trainings.length}</b>
+        </span>
+        {report.rows.length > 0 ? <ExportButtons onExport={(kind) => onExport(kind, season)} /> : null}
+      </div>
+
+      {report.rows.length === 0 ? (
+        <div style={{ color: "#777", fontSize: 13, marginTop: 10 }}>Noch keine Anwesenheit erfasst.</div>
+      ) : (
+        <div style={{ overflowX: "auto", marginTop: 10 }}>
+          <table style={{ borderCollapse: "collapse", fontSize: 13, width: "100%" }}>
+            <thead>
+              <tr style={{ textAlign: "left", color: "#555" }}>
+                <th style={cell}>Name</th>
+                {report.months.map((m) => (
+                  <th key={m.key} style={cell}>
+                    {monthLabel(m.key)}
+                  </th>
+                ))}
+                <th style={cell}>Gesamt</th>
+                <th style={cell}>Quote</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.rows.map((r) => (
+                <tr key={r.id}>
+                  <td style={cell}>{r.name}</td>
+                  {report.months.map((m) => (
+                    <td key={m.key} style={{ ...cell, color: "#555" }}>
+                      {r.byMonth[m.key] ?? 0}/{m.total}
+                    </td>
+                  ))}
+                  <td style={cell}>
+                    {r.present}/{r.total}
+                  </td>
+                  <td style={cell}>
+                    <b>{percent(r.present, r.total)} %</b>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {report.trainings.length > 0 ? (
+        <details style={{ marginTop: 12 }}>
+          <summary style={{ cursor: "pointer" }}>Trainingsbuch</summary>
+          <div style={{ border: "1px solid #eee", borderRadius: 10, overflow: "hidden", marginTop: 8 }}>
+            {[...report.trainings].reverse().map((e, idx) => (
+              <div
+                key={e.id}
+                style={{
+                  display: "flex",
+                  justifyContent: "space-between",
+                  alignItems: "center",
+                  gap: 8,
+                  padding: 10,
+                  borderTop: idx === 0 ? "none" : "1px solid #f0f0f0",
+                  fontSize: 13,
+                }}
+              >
+                <div>
+                  <b>{formatDate(e.date)}</b> · {e.playerIds.length} anwesend
+                  {e.dayIds.length ? <span style={{ color: "#666" }}> · Rangliste</span> : null}
+                  {e.note ? <div style={{ color: "#555" }}>{e.note}</div> : null}
+                </div>
+                <button
+                  onClick={() => {
+                    if (window.confirm(`Eintrag vom ${formatDate(e.date)} löschen?`)) onRemove(e.id);
+                  }}
+                  style={{ padding: "6px 10px" }}
+                >
+                  Löschen
+                </button>
+              </div>
+            ))}
+          </div>
+        </details>
+      ) : null}
+    </div>
+  );
+}
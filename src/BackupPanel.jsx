@@ -0,0 +1,78 @@
+import { useState } from "react";
+import { parseBackup } from "./backup.js";
+import { downloadFile, fileDate } from "./exports.js";
+
+// Backup exportieren (JSON-Download) und importieren (Zusammenführen oder Ersetzen)
+export default function BackupPanel({ onExport, onImport }) {
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState("");
+
+  function download() {
+    const backup = onExport();
+    downloadFile(
+      `vereinsapp-backup-${fileDate(backup.exportedAt)}.json`,
+      JSON.stringify(backup, null, 2),
+      "application/json"
+    );
+  }
+
+  async function readFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setError("");
+    setPending(null);
+    try {
+      setPending(parseBackup(await file.text()));
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  function apply(mode) {
+    if (mode === "replace") {
+      const ok = window.confirm("Alle aktuellen Daten durch das Backup ersetzen?");
+      if (!ok) return;
+    }
+    onImport(pending.data, mode);
+    setPending(null);
+  }
+
+  return (
+    <div style={{ border: "1px solid #ddd", borderRadius: 10, padding: 16, marginTop: 16 }}>
+      <h2 style={{ marginTop: 0, marginBottom: 6 }}>Backup exportieren / importieren</h2>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+        <button onClick={download} style={{ padding: "10px 14px" }}>
+          Backup exportieren
+        </button>
+        <label style={{ display: "flex", gap: 6, alignItems: "center", color: "#555" }}>
+          Backup importieren:
+          <input type="file" accept="application/json,.json" onChange={readFile} />
+        </label>
+      </div>
+
+      {error ? <div style={{ color: "#b00020", marginTop: 10 }}>{error}</div> : null}
+
+      {pending ? (
+        <div style={{ marginTop: 10, color: "#555", fontSize: 13 }}>
+          Backup
+          {pending.exportedAt ? ` vom ${new Date(pending.exportedAt).toLocaleString("de-DE")}` : ""}:{" "}
+          <b>{pending.data.players.length}</b> Spieler, <b>{pending.data.completed.length}</b>{" "}
+          Trainingstage{pending.data.session ? ", laufende Rangliste" : ""}
+          {` (Schema-Version ${pending.version})`}
+          <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+            <button onClick={() => apply("merge")} style={{ padding: "8px 10px" }}>
+              Zusammenführen
+            </button>
+            <button onClick={() => apply("replace")} style={{ padding: "8px 10px" }}>
+              Ersetzen
+            </button>
+            <button onClick={() => setPending(null)} style={{ padding: "8px 10px" }}>
+              Abbrechen
+            </button>
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,157 @@
+import { useMemo, useState } from "react";
+import ResultEditor from "./ResultEditor.jsx";
+import { sideName } from "./doubles.js";
+import { parseResult, parseSets, sessionRules } from "./rules.js";
+import { firstKoPairs, groupTables, matchWinner } from "./tournament.js";
+import { signed } from "./util.js";
+
+// Ergebnisse eines abgeschlossenen Trainingstags korrigieren.
+// preview(matches) liefert die TTR-Änderungen, die das Speichern auslösen würde.
+export default function DayEditor({ day, preview, onSave, onCancel }) {
+  const rules = sessionRules(day);
+  const [draft, setDraft] = useState(() => (day.matches ?? []).map((m) => ({ ...m })));
+
+  const nameById = new Map((day.players ?? []).map((p) => [p.id, p.name]));
+  const rounds = [...new Set(draft.map((m) => m.round))].sort((a, b) => a - b);
+  const changes = useMemo(() => preview(draft), [preview, draft]);
+
+  function update(matchId, patch) {
+    setDraft((prev) => prev.map((m) => (m.id === matchId ? { ...m, ...patch } : m)));
+  }
+
+  function setResult(matchId, value) {
+    const parsed = parseResult(value, rules.format);
+    update(matchId, { scoreA: parsed ? parsed.a : null, scoreB: parsed ? parsed.b : null, sets: null });
+  }
+
+  function setSets(matchId, sets) {
+    const parsed = parseSets(sets, rules.format);
+    if (parsed.error) return;
+    update(matchId, { scoreA: parsed.a, scoreB: parsed.b, sets: parsed.sets });
+  }
+
+  function save() {
+    if (draft.some((m) => !m.byeId && (m.scoreA === null || m.scoreB === null))) {
+      alert("Alle Begegnungen brauchen ein Ergebnis.");
+      return;
+    }
+    // KO-Sieger bestimmen die folgenden Paarungen und dürfen sich nicht ändern
+    const original = new Map((day.matches ?? []).map((m) => [m.id, m]));
+    if (draft.some((m) => m.stage === "ko" && matchWinner(m) !== matchWinner(original.get(m.id)))) {
+      alert("In der KO-Runde kann nur das Ergebnis, nicht der Sieger korrigiert werden.");
+      return;
+    }
+    // die Gruppentabellen bestimmen, wer in der KO-Runde gegen wen spielt
+    if (draft.some((m) => m.stage === "ko")) {
+      const bracket = (matches) =>
+        JSON.stringify(
+          firstKoPairs(groupTables({ ...day, matches }, rules), rules.qualifiers).map((pair) => [...pair].sort())
+        );
+      if (bracket(draft) !== bracket(day.matches ?? [])) {
+        alert(
+          "Mit dieser Korrektur kämen andere Spieler oder andere Paarungen in die KO-Runde. " +
+            "Der gespeicherte KO-Baum würde nicht mehr passen, deshalb lässt sich das nicht korrigieren."
+        );
+        return;
+      }
+    }
+    const ok = window.confirm(
+      "Korrektur speichern?\n(Der Tag und alle späteren Trainingstage werden neu berechnet.)"
+    );
+    if (!ok) return;
+    onSave(draft);
+  }
+
+  return (
+    <div style={{ border: "1px solid #ddd", borderRadius: 10, padding: 16, marginTop: 16 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", gap: 12, flexWrap: "wrap" }}>
+        <div>
+          <h2 style={{ marginTop: 0, marginBottom: 6 }}>Trainingstag korrigieren</h2>
+          <div style={{ color: "#555", fontSize: 13 }}>
+            Abgeschlossen: <b>{new Date(day.finishedAt).toLocaleString("de-DE")}</b> · Teilnehmer:{" "}
+            <b>{day.players?.length ?? 0}</b>
+          </div>
+        </div>
+        <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+          <button onClick={save} style={{ padding: "10px 14px" }}>
+            Speichern & neu berechnen
+          </button>
+          <button onClick={onCancel} style={{ padding: "10px 14px" }}>
+            Abbrechen
+          </button>
+        </div>
+      </div>
+
+      {rounds.map((r) => (
+        <div key={r} style={{ marginTop: 14 }}>
+          <h3 style={{ marginBottom: 8 }}>Runde {r}</h3>
+          <div style={{ border: "1px solid #eee", borderRadius: 10, overflow: "hidden" }}>
+            {draft
+              .filter((m) => m.round === r)
+              .map((m, idx) => (
+                <div
+                  key={m.id}
+                  style={{
+                    padding: 12,
+                    borderTop: idx === 0 ? "none" : "1px solid #f0f0f0",
+                    display: "flex",
+                    justifyContent: "space-between",
+                    gap: 12,
+                    alignItems: "center",
+                  }}
+                >
+                  {m.byeId ? (
+                    <>
+                      <div style={{ fontWeight: 600, color: "#111" }}>{nameById.get(m.byeId) ?? "?"}</div>
+                      <div style={{ color: "#666", fontSize: 12 }}>{m.unplayed ? "fällt aus" : "Freilos"}</div>
+                    </>
+                  ) : (
+                    <>
+                      <div style={{ fontWeight: 600, color: "#111" }}>
+                        {sideName(m, "a", nameById)} <span style={{ color: "#666", fontWeight: 400 }}>vs</span>{" "}
+                        {sideName(m, "b", nameById)}
+                      </div>
+                      <ResultEditor
+                        match={m}
+                        format={rules.format}
+                        disabled={false}
+                        onResult={(value) => setResult(m.id, value)}
+                        onSets={(sets) => setSets(m.id, sets)}
+                      />
+                    </>
+                  )}
+                </div>
+              ))}
+          </div>
+        </div>
+      ))}
+
+      <h3 style={{ marginBottom: 8 }}>TTR-Änderungen durch die Korrektur</h3>
+      {changes.length === 0 ? (
+        <div style={{ color: "#777" }}>Keine TTR-Werte ändern sich.</div>
+      ) : (
+        <div style={{ border: "1px solid #eee", borderRadius: 10, overflow: "hidden" }}>
+          {changes.map((c, idx) => (
+            <div
+              key={c.id}
+              style={{
+                display: "grid",
+                gridTemplateColumns: "1fr 120px 80px",
+                gap: 8,
+                padding: 10,
+                borderTop: idx === 0 ? "none" : "1px solid #f0f0f0",
+                fontSize: 13,
+              }}
+            >
+              <div style={{ fontWeight: 600 }}>{c.name}</div>
+              <div>
+                {c.before} → {c.after}
+              </div>
+              <div>{signed(c.after - c.before)}</div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,13 @@
+// "CSV" und "Drucken" für Tabellen und Paarungen
+export default function ExportButtons({ onExport }) {
+  return (
+    <div style={{ display: "flex", gap: 6 }}>
+      <button onClick={() => onExport("csv")} style={{ padding: "6px 10px" }}>
+        CSV
+      </button>
+      <button onClick={() => onExport("print")} style={{ padding: "6px 10px" }}>
+        Drucken
+      </button>
+    </div>
+  );
+}
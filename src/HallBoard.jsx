@@ -0,0 +1,75 @@
+import { sideName } from "./doubles.js";
+import { hallBoard } from "./hall.js";
+
+// Tischplan für die Halle: belegte und freie Tische, darunter die Warteschlange
+export default function HallBoard({ matches, tables, nameById, onTables }) {
+  const { playing, waiting } = hallBoard(matches);
+  const byTable = new Map(playing.map((m) => [m.table, m]));
+  const pair = (m) => `${sideName(m, "a", nameById)} – ${sideName(m, "b", nameById)}`;
+
+  return (
+    <div style={{ border: "1px solid #ddd", borderRadius: 10, padding: 12, marginTop: 14 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <h3 style={{ margin: 0 }}>Tischplan</h3>
+        <span style={{ color: "#555", fontSize: 13, marginLeft: "auto" }}>Tische</span>
+        <input
+          type="number"
+          min={0}
+          max={50}
+          value={tables}
+          onChange={(e) => onTables(e.target.value)}
+          style={{ width: 60, padding: 6 }}
+        />
+      </div>
+
+      {!tables ? (
+        <div style={{ color: "#777", fontSize: 13, marginTop: 8 }}>
+          Anzahl der Tische eintragen, dann bekommt jedes Spiel einen Tisch. Überzählige Spiele warten und
+          rücken nach, sobald ein Ergebnis eingetragen ist.
+        </div>
+      ) : (
+        <>
+          <div
+            style={{
+              display: "grid",
+              gridTemplateColumns: "repeat(auto-fill, minmax(170px, 1fr))",
+              gap: 8,
+              marginTop: 10,
+            }}
+          >
+            {Array.from({ length: tables }, (_, i) => i + 1).map((t) => {
+              const m = byTable.get(t);
+              return (
+                <div
+                  key={t}
+                  style={{
+                    border: "1px solid #eee",
+                    borderRadius: 8,
+                    padding: 8,
+                    background: m ? "#eef7ee" : "#fafafa",
+                  }}
+                >
+                  <div style={{ fontSize: 12, color: "#666" }}>Tisch {t}</div>
+                  <div style={{ fontWeight: 600, color: m ? "#111" : "#999" }}>{m ? pair(m) : "frei"}</div>
+                </div>
+              );
+            })}
+          </div>
+
+          <div style={{ marginTop: 10, fontSize: 14 }}>
+            <b>Wartet:</b>{" "}
+            {waiting.length === 0 ? (
+              <span style={{ color: "#777" }}>niemand</span>
+            ) : (
+              <ol style={{ margin: "6px 0 0", paddingLeft: 22 }}>
+                {waiting.map((m) => (
+                  <li key={m.id}>{pair(m)}</li>
+                ))}
+              </ol>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+import { useState } from "react";
+import { formatSets } from "./rules.js";
+import { headToHead } from "./stats.js";
+import { signed } from "./util.js";
+
+// Direkter Vergleich zweier Spieler über alle abgeschlossenen Trainingstage
+export default function HeadToHead({ players, completed }) {
+  const [aId, setAId] = useState("");
+  const [bId, setBId] = useState("");
+
+  const result = aId && bId && aId !== bId ? headToHead(completed, aId, bId) : null;
+  const nameOf = (id) => players.find((p) => p.id === id)?.name ?? "?";
+
+  const select = (value, onChange) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)} style={{ padding: "8px 10px" }}>
+      <option value="">— Spieler —</option>
+      {players.map((p) => (
+        <option key={p.id} value={p.id}>
+          {p.name}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div style={{ border: "1px solid #ddd", borderRadius: 10, padding: 16, marginTop: 16 }}>
+      <h2 style={{ marginTop: 0, marginBottom: 6 }}>Direkter Vergleich</h2>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+        {select(aId, setAId)}
+        <span style={{ color: "#666" }}>gegen</span>
+        {select(bId, setBId)}
+      </div>
+
+      {result ? (
+        result.games.length === 0 ? (
+          <div style={{ color: "#777", marginTop: 10 }}>Noch keine gemeinsamen Spiele.</div>
+        ) : (
+          <>
+            <div style={{ marginTop: 10, color: "#555", fontSize: 13 }}>
+              Bilanz {nameOf(aId)}: <b>{result.summary.wins}</b> Siege / <b>{result.summary.losses}</b>{" "}
+              Niederlagen · Sätze{" "}
+              <b>
+                {result.summary.setsWon}:{result.summary.setsLost}
+              </b>
+            </div>
+            <div style={{ border: "1px solid #eee", borderRadius: 10, overflow: "hidden", marginTop: 10 }}>
+              {result.games.map((g, idx) => (
+                <div
+                  key={g.id}
+                  style={{
+                    display: "grid",
+                    gridTemplateColumns: "120px 80px 1fr 80px",
+                    gap: 8,
+                    padding: 10,
+                    borderTop: idx === 0 ? "none" : "1px solid #f0f0f0",
+                    fontSize: 13,
+                  }}
+                >
+                  <div>{new Date(g.date).toLocaleDateString("de-DE")}</div>
+                  <div style={{ fontWeight: 600 }}>
+                    {g.setsFor}:{g.setsAgainst}
+                  </div>
+                  <div style={{ color: "#666" }}>
+                    Runde {g.round}
+                    {g.sets.length ? ` · ${formatSets(g.sets)}` : ""}
+                  </div>
+                  <div style={{ color: "#666" }}>
+                    {g.delta === null ? "" : `TTR ${signed(g.delta)}`}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </>
+        )
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,193 @@
+import { useEffect, useState } from "react";
+import { openLiveChannel } from "./live.js";
+
+const ROTATE_MS = 8000;
+const PAIRING_ROWS = 10;
+const STANDING_ROWS = 12;
+
+function page(rows, size, tick) {
+  const pages = Math.max(1, Math.ceil(rows.length / size));
+  const index = tick % pages;
+  return { rows: rows.slice(index * size, index * size + size), offset: index * size, index, pages };
+}
+
+function PageInfo({ index, pages }) {
+  if (pages < 2) return null;
+  return (
+    <span style={{ fontSize: 18, color: "#9ab", fontWeight: 400, marginLeft: 12 }}>
+      Seite {index + 1}/{pages}
+    </span>
+  );
+}
+
+const card = { background: "#1b2a36", borderRadius: 14, padding: "16px 22px" };
+const heading = { margin: "0 0 12px", fontSize: 30 };
+
+// Hallenanzeige für Beamer/Fernseher: nur lesen, kommt live vom Trainer-Tab
+export default function LiveDisplay() {
+  const [state, setState] = useState(null);
+  const [tick, setTick] = useState(0);
+  const [fullscreen, setFullscreen] = useState(Boolean(document.fullscreenElement));
+
+  useEffect(() => {
+    const channel = openLiveChannel((message) => {
+      if (message?.type === "state") setState(message.state);
+    });
+    channel?.post({ type: "hello" });
+    return () => channel?.close();
+  }, []);
+
+  useEffect(() => {
+    const timer = setInterval(() => setTick((t) => t + 1), ROTATE_MS);
+    const onChange = () => setFullscreen(Boolean(document.fullscreenElement));
+    document.addEventListener("fullscreenchange", onChange);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener("fullscreenchange", onChange);
+    };
+  }, []);
+
+  const s = state?.session;
+  const pairings = page(s?.pairings ?? [], PAIRING_ROWS, tick);
+  const standings = page(s?.standings ?? [], STANDING_ROWS, tick);
+
+  return (
+    <div
+      style={{
+        minHeight: "100vh",
+        boxSizing: "border-box",
+        padding: "24px 32px",
+        background: "#0f1a22",
+        color: "#f4f7f9",
+        fontFamily: "system-ui",
+        fontSize: 26,
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "baseline", gap: 20, marginBottom: 20 }}>
+        <h1 style={{ margin: 0, fontSize: 44 }}>{state?.clubName || "Jugendrangliste"}</h1>
+        {s ? (
+          <span style={{ fontSize: 32, color: "#8fd19e", fontWeight: 600 }}>
+            {s.finished ? "Rangliste beendet" : s.round ? `Runde ${s.round} von ${s.rounds}` : "Gleich geht's los"}
+          </span>
+        ) : null}
+        {!fullscreen && document.fullscreenEnabled ? (
+          <button
+            onClick={() => document.documentElement.requestFullscreen().catch(() => {})}
+            style={{ marginLeft: "auto", padding: "8px 14px", fontSize: 16 }}
+          >
+            Vollbild
+          </button>
+        ) : null}
+      </div>
+
+      {!state ? (
+        <div style={{ fontSize: 32, color: "#9ab", marginTop: 80, textAlign: "center" }}>
+          Warte auf das Trainergerät … Die Vereinsapp muss in einem anderen Tab dieses Browsers geöffnet sein.
+        </div>
+      ) : !s ? (
+        <div style={{ fontSize: 32, color: "#9ab", marginTop: 80, textAlign: "center" }}>
+          Gerade läuft keine Rangliste.
+        </div>
+      ) : (
+        <>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 24, alignItems: "start" }}>
+            <div style={card}>
+              <h2 style={heading}>
+                Paarungen
+                <PageInfo index={pairings.index} pages={pairings.pages} />
+              </h2>
+              {pairings.rows.length === 0 ? <div style={{ color: "#9ab" }}>Noch nicht ausgelost</div> : null}
+              {pairings.rows.map((m) => (
+                <div
+                  key={m.id}
+                  style={{
+                    display: "grid",
+                    gridTemplateColumns: "150px 1fr auto",
+                    gap: 12,
+                    padding: "8px 0",
+                    borderTop: "1px solid #2c3e4c",
+                    alignItems: "baseline",
+                    color: m.score ? "#9ab" : "#f4f7f9",
+                  }}
+                >
+                  <div style={{ fontSize: 20, color: m.table ? "#8fd19e" : "#f0c36d", fontWeight: 600 }}>
+                    {m.table ? `Tisch ${m.table}` : m.queue ? `wartet ${m.queue}.` : m.label ?? ""}
+                  </div>
+                  <div style={{ fontWeight: 600 }}>
+                    {m.a} – {m.b}
+                    {m.label && (m.table || m.queue) ? (
+                      <span style={{ fontSize: 18, color: "#9ab", fontWeight: 400 }}> · {m.label}</span>
+                    ) : null}
+                  </div>
+                  <div style={{ fontWeight: 700 }}>{m.score ?? ""}</div>
+                </div>
+              ))}
+              {s.byes.length ? (
+                <div style={{ marginTop: 10, fontSize: 20, color: "#9ab" }}>Freilos: {s.byes.join(", ")}</div>
+              ) : null}
+            </div>
+
+            <div style={card}>
+              <h2 style={heading}>
+                Tabelle
+                <PageInfo index={standings.index} pages={standings.pages} />
+              </h2>
+              <div
+                style={{
+                  display: "grid",
+                  gridTemplateColumns: "50px 1fr 70px 90px 110px",
+                  gap: 10,
+                  fontSize: 18,
+                  color: "#9ab",
+                  paddingBottom: 6,
+                }}
+              >
+                <div>#</div>
+                <div>Name</div>
+                <div>Pkt</div>
+                <div>S/N</div>
+                <div>Sätze</div>
+              </div>
+              {standings.rows.map((r, i) => (
+                <div
+                  key={r.id ?? i}
+                  style={{
+                    display: "grid",
+                    gridTemplateColumns: "50px 1fr 70px 90px 110px",
+                    gap: 10,
+                    padding: "6px 0",
+                    borderTop: "1px solid #2c3e4c",
+                    color: r.withdrawn ? "#789" : "#f4f7f9",
+                  }}
+                >
+                  <div>{standings.offset + i + 1}</div>
+                  <div style={{ fontWeight: 600 }}>{r.name}</div>
+                  <div style={{ fontWeight: 700 }}>{r.points}</div>
+                  <div>
+                    {r.wins}/{r.losses}
+                  </div>
+                  <div>
+                    {r.setsWon}:{r.setsLost}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {s.recent.length ? (
+            <div style={{ ...card, marginTop: 24 }}>
+              <h2 style={{ ...heading, fontSize: 24 }}>Letzte Ergebnisse</h2>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: "8px 28px", fontSize: 22 }}>
+                {s.recent.map((m) => (
+                  <span key={m.id}>
+                    {m.a} – {m.b} <b style={{ color: "#8fd19e" }}>{m.score}</b>
+                  </span>
+                ))}
+              </div>
+            </div>
+          ) : null}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import { OVERALL_MODES } from "./overall.js";
+
+// Wertung der Gesamtrangliste: Modus, Anzahl bester Tage, Mindestanwesenheit
+export default function OverallSettings({ value, onChange }) {
+  function set(field, v) {
+    onChange({ ...value, [field]: v });
+  }
+
+  return (
+    <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap", marginTop: 8, fontSize: 13 }}>
+      <select value={value.mode} onChange={(e) => set("mode", e.target.value)} style={{ padding: "6px 8px" }}>
+        {OVERALL_MODES.map((m) => (
+          <option key={m.value} value={m.value}>
+            {m.label}
+          </option>
+        ))}
+      </select>
+      {value.mode === "best" ? (
+        <label style={{ display: "flex", gap: 4, alignItems: "center", color: "#555" }}>
+          Anzahl
+          <input
+            type="number"
+            min={1}
+            value={value.bestDays}
+            onChange={(e) => set("bestDays", e.target.value)}
+            style={{ width: 56, padding: 6 }}
+          />
+        </label>
+      ) : null}
+      <label style={{ display: "flex", gap: 4, alignItems: "center", color: "#555" }}>
+        Mindestens dabei
+        <input
+          type="number"
+          min={0}
+          value={value.minDays}
+          onChange={(e) => set("minDays", e.target.value)}
+          style={{ width: 56, padding: 6 }}
+        />
+        Tage
+      </label>
+    </div>
+  );
+}
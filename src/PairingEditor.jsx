@@ -0,0 +1,62 @@
+import { isDoubles, matchPlayerIds, repeatKeys } from "./doubles.js";
+
+// Paarungen der aktuellen Runde per Auswahl umstellen: der gewählte Spieler
+// tauscht den Platz mit dem bisherigen (auch mit dem Freilos).
+export default function PairingEditor({ matches, nameById, playedBefore, onSwap }) {
+  const ids = matches.flatMap(matchPlayerIds);
+  const options = [...ids].sort((a, b) => (nameById.get(a) ?? "").localeCompare(nameById.get(b) ?? "", "de"));
+
+  const slot = (id) => (
+    <select value={id} onChange={(e) => onSwap(id, e.target.value)} style={{ padding: "8px 10px" }}>
+      {options.map((o) => (
+        <option key={o} value={o}>
+          {nameById.get(o) ?? "?"}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div style={{ border: "1px solid #eee", borderRadius: 10, overflow: "hidden" }}>
+      {matches.map((m, idx) => {
+        const rematch = repeatKeys(m).some((k) => playedBefore.has(k));
+        return (
+          <div
+            key={m.id}
+            style={{
+              padding: 12,
+              borderTop: idx === 0 ? "none" : "1px solid #f0f0f0",
+              display: "flex",
+              gap: 8,
+              alignItems: "center",
+              flexWrap: "wrap",
+              background: rematch ? "#fff8e6" : "white",
+            }}
+          >
+            {m.byeId ? (
+              <>
+                {slot(m.byeId)}
+                <span style={{ color: "#666", fontSize: 12 }}>Freilos</span>
+              </>
+            ) : (
+              <>
+                {slot(m.aId)}
+                {isDoubles(m) ? slot(m.a2Id) : null}
+                <span style={{ color: "#666" }}>vs</span>
+                {slot(m.bId)}
+                {isDoubles(m) ? slot(m.b2Id) : null}
+                {rematch ? (
+                  <span style={{ color: "#a15c00", fontSize: 12 }}>
+                    {isDoubles(m)
+                      ? "Wiederholung – Doppel hat schon zusammen gespielt"
+                      : "Wiederholung – haben schon gegeneinander gespielt"}
+                  </span>
+                ) : null}
+              </>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
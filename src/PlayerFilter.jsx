@@ -0,0 +1,33 @@
+import { ADULT_CLASS, AGE_CLASSES, GENDERS } from "./profiles.js";
+
+// Auswahl Altersklasse/Geschlecht für Gesamtrangliste und Spielerliste
+export default function PlayerFilter({ value, onChange }) {
+  return (
+    <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap" }}>
+      <select
+        value={value.ageClass}
+        onChange={(e) => onChange({ ...value, ageClass: e.target.value })}
+        style={{ padding: "8px 10px" }}
+      >
+        <option value="">Alle Altersklassen</option>
+        {[...AGE_CLASSES, ADULT_CLASS].map((c) => (
+          <option key={c} value={c}>
+            {c}
+          </option>
+        ))}
+      </select>
+      <select
+        value={value.gender}
+        onChange={(e) => onChange({ ...value, gender: e.target.value })}
+        style={{ padding: "8px 10px" }}
+      >
+        <option value="">Alle</option>
+        {GENDERS.map((g) => (
+          <option key={g.value} value={g.value}>
+            {g.label}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
@@ -0,0 +1,269 @@
+import { useState } from "react";
+import RatingChart from "./RatingChart.jsx";
+import { percent, playerAttendance } from "./attendance.js";
+import { GENDERS, ageClass, cutoffDate } from "./profiles.js";
+import { formatSets } from "./rules.js";
+import { biggestResults, playerGames } from "./stats.js";
+import { signed } from "./util.js";
+
+const field = { color: "#555", fontSize: 13 };
+
+function GameList({ title, games }) {
+  return (
+    <div style={{ flex: 1, minWidth: 260 }}>
+      <h3 style={{ marginBottom: 8 }}>{title}</h3>
+      {games.length === 0 ? (
+        <div style={{ color: "#777", fontSize: 13 }}>—</div>
+      ) : (
+        games.map((g) => (
+          <div key={g.id} style={{ fontSize: 13, padding: "4px 0", borderTop: "1px solid #f0f0f0" }}>
+            <b>{g.opponentName}</b>
+            {g.partnerName ? <span style={{ color: "#666" }}> (mit {g.partnerName})</span> : null} {g.setsFor}:
+            {g.setsAgainst}
+            <span style={{ color: "#666" }}>
+              {" · "}
+              {new Date(g.date).toLocaleDateString("de-DE")} · TTR {signed(g.delta)}
+            </span>
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
+
+// Profilseite: Stammdaten, TTR-Verlauf, Historie und größte Siege/Niederlagen;
+// dazu Umbenennen, Archivieren und Zusammenführen mit einem Doppeleintrag
+export default function PlayerProfile({
+  player,
+  ratingLog,
+  completed,
+  attendance,
+  seasons,
+  players,
+  cutoff,
+  onUpdate,
+  onRename,
+  onMerge,
+  onArchive,
+  onBack,
+}) {
+  const [name, setName] = useState(player.name);
+  const [nameError, setNameError] = useState("");
+  const [mergeId, setMergeId] = useState("");
+
+  function rename(e) {
+    e.preventDefault();
+    const err = onRename(name);
+    setNameError(err ?? "");
+  }
+
+  const history = ratingLog
+    .filter((e) => e.playerId === player.id)
+    .sort((x, y) => String(x.date).localeCompare(String(y.date)));
+
+  // erster Punkt = Stand vor dem ersten Spieltag
+  const points = history.length
+    ? [
+        { date: history[0].date, value: history[0].before },
+        ...history.map((e) => ({ date: e.date, value: e.after })),
+      ]
+    : [];
+
+  const games = playerGames(completed, player.id);
+  const { wins, losses } = biggestResults(games);
+
+  const trainings = playerAttendance(attendance, player.id, null);
+  const quotas = [null, ...[...seasons].sort((a, b) => b.start.localeCompare(a.start))]
+    .map((season) => {
+      const days = season ? playerAttendance(attendance, player.id, season) : trainings;
+      return {
+        key: season?.id ?? "all",
+        label: season?.name ?? "Gesamt",
+        present: days.filter((d) => d.present).length,
+        total: days.length,
+      };
+    })
+    .filter((q) => q.total > 0);
+
+  return (
+    <div style={{ border: "1px solid #ddd", borderRadius: 10, padding: 16, marginTop: 16 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", gap: 12, flexWrap: "wrap" }}>
+        <div>
+          <h2 style={{ marginTop: 0, marginBottom: 6 }}>
+            {player.name}
+            {player.archived ? <span style={{ color: "#999", fontSize: 14, fontWeight: 400 }}> (archiviert)</span> : null}
+          </h2>
+          <div style={{ color: "#555", fontSize: 13 }}>
+            TTR: <b>{player.ttr}</b>
+            {player.rd !== undefined ? <> (±{Math.round(player.rd)})</> : null} · Spieltage: <b>{history.filter((e) => !e.reset).length}</b> ·
+            Spiele: <b>{games.length}</b>
+          </div>
+          {ageClass(player.birthYear, cutoff) ? (
+            <div style={{ color: "#555", fontSize: 13 }}>
+              Altersklasse: <b>{ageClass(player.birthYear, cutoff)}</b> (Stichtag{" "}
+              {cutoffDate(cutoff).toLocaleDateString("de-DE")})
+            </div>
+          ) : null}
+        </div>
+        <div style={{ display: "flex", gap: 8, alignItems: "start" }}>
+          <button onClick={onArchive} style={{ padding: "10px 14px" }}>
+            {player.archived ? "Wiederherstellen" : "Archivieren"}
+          </button>
+          <button onClick={onBack} style={{ padding: "10px 14px" }}>
+            Zurück
+          </button>
+        </div>
+      </div>
+
+      <h3 style={{ marginBottom: 8 }}>Stammdaten</h3>
+      <div style={{ display: "grid", gridTemplateColumns: "140px 1fr", gap: 8, alignItems: "center", maxWidth: 520 }}>
+        <span style={field}>Name</span>
+        <form onSubmit={rename} style={{ display: "flex", gap: 6 }}>
+          <input value={name} onChange={(e) => setName(e.target.value)} style={{ padding: 6, flex: 1 }} />
+          <button disabled={name.trim() === player.name} style={{ padding: "6px 10px" }}>
+            Umbenennen
+          </button>
+        </form>
+        {nameError ? (
+          <>
+            <span />
+            <span style={{ color: "#b00020", fontSize: 13 }}>{nameError}</span>
+          </>
+        ) : null}
+        <span style={field}>Geburtsjahr</span>
+        <input
+          type="number"
+          min={1900}
+          max={new Date().getFullYear()}
+          value={player.birthYear ?? ""}
+          onChange={(e) => onUpdate({ birthYear: e.target.value ? Number(e.target.value) : null })}
+          style={{ width: 100, padding: 6 }}
+        />
+        <span style={field}>Geschlecht</span>
+        <select
+          value={player.gender ?? ""}
+          onChange={(e) => onUpdate({ gender: e.target.value || null })}
+          style={{ width: 140, padding: 6 }}
+        >
+          <option value="">—</option>
+          {GENDERS.map((g) => (
+            <option key={g.value} value={g.value}>
+              {g.label}
+            </option>
+          ))}
+        </select>
+        <span style={field}>Vereins-ID</span>
+        <input
+          value={player.clubId ?? ""}
+          onChange={(e) => onUpdate({ clubId: e.target.value })}
+          placeholder="optional, z.B. Mitgliedsnummer"
+          style={{ padding: 6 }}
+        />
+        <span style={{ ...field, alignSelf: "start", paddingTop: 6 }}>Notizen</span>
+        <textarea
+          value={player.notes ?? ""}
+          onChange={(e) => onUpdate({ notes: e.target.value })}
+          rows={3}
+          style={{ padding: 6, font: "inherit" }}
+        />
+      </div>
+
+      <h3 style={{ marginBottom: 8 }}>Doppelten Eintrag übernehmen</h3>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+        <select value={mergeId} onChange={(e) => setMergeId(e.target.value)} style={{ padding: "6px 8px" }}>
+          <option value="">Spieler wählen …</option>
+          {players
+            .filter((p) => p.id !== player.id)
+            .map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.name}
+                {p.archived ? " (archiviert)" : ""}
+              </option>
+            ))}
+        </select>
+        <button
+          onClick={() => {
+            onMerge(mergeId);
+            setMergeId("");
+          }}
+          disabled={!mergeId}
+          style={{ padding: "6px 10px" }}
+        >
+          In {player.name} übernehmen
+        </button>
+      </div>
+      <div style={{ color: "#666", fontSize: 12, marginTop: 4 }}>
+        Z.B. „Levin M.“ in „Levin“: Ergebnisse, Historie und Anwesenheit werden zusammengelegt und die TTR-Historie
+        neu berechnet.
+      </div>
+
+      <h3 style={{ marginBottom: 8 }}>Anwesenheit</h3>
+      {trainings.length === 0 ? (
+        <div style={{ color: "#777", fontSize: 13 }}>Noch keine Trainingstage erfasst.</div>
+      ) : (
+        <>
+          <div style={{ color: "#555", fontSize: 13 }}>
+            {quotas.map((q, idx) => (
+              <span key={q.key}>
+                {idx > 0 ? " · " : ""}
+                {q.label}: <b>{percent(q.present, q.total)} %</b> ({q.present}/{q.total})
+              </span>
+            ))}
+          </div>
+          <details style={{ marginTop: 6 }}>
+            <summary style={{ cursor: "pointer", fontSize: 13 }}>Trainingstage</summary>
+            {trainings.map((t) => (
+              <div key={t.id} style={{ fontSize: 13, padding: "4px 0", borderTop: "1px solid #f0f0f0" }}>
+                <b>{new Date(`${t.date}T00:00:00`).toLocaleDateString("de-DE")}</b> ·{" "}
+                {t.present ? "anwesend" : <span style={{ color: "#b00020" }}>gefehlt</span>}
+                {t.note ? <span style={{ color: "#666" }}> · {t.note}</span> : null}
+              </div>
+            ))}
+          </details>
+        </>
+      )}
+
+      <h3 style={{ marginBottom: 8 }}>TTR-Verlauf</h3>
+      <RatingChart points={points} />
+
+      <div style={{ display: "flex", gap: 16, flexWrap: "wrap" }}>
+        <GameList title="Größte Siege" games={wins} />
+        <GameList title="Größte Niederlagen" games={losses} />
+      </div>
+
+      <h3 style={{ marginBottom: 8 }}>Historie</h3>
+      {history.length === 0 ? (
+        <div style={{ color: "#777" }}>Noch keine abgeschlossenen Spieltage.</div>
+      ) : (
+        <div style={{ border: "1px solid #eee", borderRadius: 10, overflow: "hidden" }}>
+          {[...history].reverse().map((e, idx) => {
+            const dayGames = games.filter((g) => g.dayId === e.dayId);
+            return (
+              <div
+                key={e.id}
+                style={{ padding: 10, borderTop: idx === 0 ? "none" : "1px solid #f0f0f0", fontSize: 13 }}
+              >
+                <div>
+                  <b>{new Date(e.date).toLocaleDateString("de-DE")}</b> · {e.before} → {e.after} (
+                  {signed(e.after - e.before)})
+                  {e.reset ? <span style={{ color: "#666" }}> · Saisonwechsel, TTR auf Startwert gesetzt</span> : null}
+                </div>
+                <div style={{ color: "#666" }}>
+                  {dayGames
+                    .map(
+                      (g) =>
+                        `${g.opponentName}${g.partnerName ? ` (mit ${g.partnerName})` : ""}` +
+                        ` ${g.setsFor}:${g.setsAgainst}` +
+                        (g.sets.length ? ` (${formatSets(g.sets)})` : "") +
+                        (g.delta === null ? "" : ` ${signed(g.delta)}`)
+                    )
+                    .join(" · ")}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
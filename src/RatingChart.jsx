@@ -0,0 +1,52 @@
+// TTR-Verlauf als SVG-Linie. points: [{ date, value }] in zeitlicher Reihenfolge
+export default function RatingChart({ points, width = 600, height = 200 }) {
+  if (points.length < 2) {
+    return <div style={{ color: "#777" }}>Noch zu wenige Spieltage für einen Verlauf.</div>;
+  }
+
+  const pad = { top: 12, right: 12, bottom: 24, left: 44 };
+  const values = points.map((p) => p.value);
+  let min = Math.min(...values);
+  let max = Math.max(...values);
+  if (max - min < 20) {
+    min -= 10;
+    max += 10;
+  }
+
+  const x = (i) => pad.left + (i / (points.length - 1)) * (width - pad.left - pad.right);
+  const y = (v) => pad.top + ((max - v) / (max - min)) * (height - pad.top - pad.bottom);
+  const line = points.map((p, i) => `${x(i)},${y(p.value)}`).join(" ");
+  const dateLabel = (d) => new Date(d).toLocaleDateString("de-DE", { day: "2-digit", month: "2-digit" });
+
+  return (
+    <svg
+      viewBox={`0 0 ${width} ${height}`}
+      style={{ width: "100%", maxWidth: width, height: "auto", display: "block" }}
+      role="img"
+      aria-label="TTR-Verlauf"
+    >
+      {[max, (min + max) / 2, min].map((v) => (
+        <g key={v}>
+          <line x1={pad.left} x2={width - pad.right} y1={y(v)} y2={y(v)} stroke="#eee" />
+          <text x={pad.left - 6} y={y(v) + 4} fontSize="11" textAnchor="end" fill="#666">
+            {Math.round(v)}
+          </text>
+        </g>
+      ))}
+      <polyline points={line} fill="none" stroke="#1a7f5a" strokeWidth="2" />
+      {points.map((p, i) => (
+        <circle key={i} cx={x(i)} cy={y(p.value)} r="3" fill="#1a7f5a">
+          <title>
+            {new Date(p.date).toLocaleDateString("de-DE")}: {p.value}
+          </title>
+        </circle>
+      ))}
+      <text x={x(0)} y={height - 6} fontSize="11" fill="#666">
+        {dateLabel(points[0].date)}
+      </text>
+      <text x={x(points.length - 1)} y={height - 6} fontSize="11" textAnchor="end" fill="#666">
+        {dateLabel(points[points.length - 1].date)}
+      </text>
+    </svg>
+  );
+}
@@ -0,0 +1,117 @@
+import { useState } from "react";
+import { RATING_ENGINES } from "./rating.js";
+import { signed } from "./util.js";
+
+// Wertungssystem wählen und alle Trainingstage zum Vergleich mit einem
+// anderen System neu durchrechnen
+export default function RatingEnginePanel({ engine, onChange, onCompare, onApply }) {
+  const [other, setOther] = useState(engine === "elo" ? "ttr" : "elo");
+  const [rows, setRows] = useState(null);
+
+  const find = (value) => RATING_ENGINES.find((e) => e.value === value);
+
+  return (
+    <div style={{ border: "1px solid #ddd", borderRadius: 10, padding: 16, marginTop: 16 }}>
+      <h2 style={{ marginTop: 0, marginBottom: 6 }}>Wertungssystem</h2>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+        <span style={{ color: "#555" }}>Neue Spieltage rechnen mit</span>
+        <select value={engine} onChange={(e) => onChange(e.target.value)} style={{ padding: "8px 10px" }}>
+          {RATING_ENGINES.map((e) => (
+            <option key={e.value} value={e.value}>
+              {e.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div style={{ color: "#555", fontSize: 12, marginTop: 6 }}>
+        TTR braucht Geburtsjahr (im Spielerprofil) für den Jugendbonus. Bisherige Spieltage bleiben, bis sie neu
+        berechnet werden.
+      </div>
+
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginTop: 12 }}>
+        <span style={{ color: "#555" }}>Alle Spieltage neu rechnen mit</span>
+        <select
+          value={other}
+          onChange={(e) => {
+            setOther(e.target.value);
+            setRows(null);
+          }}
+          style={{ padding: "8px 10px" }}
+        >
+          {RATING_ENGINES.map((e) => (
+            <option key={e.value} value={e.value}>
+              {e.label}
+            </option>
+          ))}
+        </select>
+        <button onClick={() => setRows(onCompare(other))} style={{ padding: "8px 10px" }}>
+          Vergleichen
+        </button>
+      </div>
+
+      {rows ? (
+        <div style={{ marginTop: 10 }}>
+          {rows.length === 0 ? (
+            <div style={{ color: "#777" }}>Noch keine abgeschlossenen Spieltage.</div>
+          ) : (
+            <div style={{ border: "1px solid #eee", borderRadius: 10, overflow: "hidden" }}>
+              <div
+                style={{
+                  display: "grid",
+                  gridTemplateColumns: "1fr 90px 90px 70px",
+                  gap: 8,
+                  padding: 10,
+                  background: "#f7f7f7",
+                  fontWeight: 600,
+                  fontSize: 13,
+                }}
+              >
+                <div>Name</div>
+                <div>Aktuell</div>
+                <div>{find(other)?.short}</div>
+                <div>Diff</div>
+              </div>
+              {rows.map((r) => (
+                <div
+                  key={r.id}
+                  style={{
+                    display: "grid",
+                    gridTemplateColumns: "1fr 90px 90px 70px",
+                    gap: 8,
+                    padding: 10,
+                    borderTop: "1px solid #f0f0f0",
+                    fontSize: 13,
+                  }}
+                >
+                  <div style={{ fontWeight: 600 }}>{r.name}</div>
+                  <div>{r.before}</div>
+                  <div>
+                    {r.after}
+                    {r.rd !== undefined ? <span style={{ color: "#777" }}> ±{Math.round(r.rd)}</span> : null}
+                  </div>
+                  <div>{signed(r.after - r.before)}</div>
+                </div>
+              ))}
+            </div>
+          )}
+          <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+            {rows.length ? (
+              <button
+                onClick={() => {
+                  onApply(other);
+                  setRows(null);
+                }}
+                style={{ padding: "8px 10px" }}
+              >
+                Übernehmen ({find(other)?.label})
+              </button>
+            ) : null}
+            <button onClick={() => setRows(null)} style={{ padding: "8px 10px" }}>
+              Schließen
+            </button>
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
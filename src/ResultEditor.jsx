@@ -0,0 +1,98 @@
+import { useState } from "react";
+import { formatSets, matchFormat, parseSets, resultOptions } from "./rules.js";
+
+// Ergebnis einer Begegnung: Schnellauswahl (z.B. 3–0) oder Eingabe Satz für Satz
+export default function ResultEditor({ match, format, disabled, onResult, onSets }) {
+  const f = matchFormat(format);
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState([]);
+  const [error, setError] = useState("");
+
+  const currentValue =
+    match.scoreA === null || match.scoreB === null ? "" : `${match.scoreA}-${match.scoreB}`;
+
+  function openEditor() {
+    const rows = Array.from({ length: f.sets }, (_, i) => {
+      const s = match.sets?.[i];
+      return s ? { a: String(s.a), b: String(s.b) } : { a: "", b: "" };
+    });
+    setDraft(rows);
+    setError("");
+    setOpen(true);
+  }
+
+  function setCell(i, side, v) {
+    setDraft((prev) => prev.map((row, j) => (j === i ? { ...row, [side]: v } : row)));
+  }
+
+  function apply() {
+    const sets = draft
+      .filter((row) => row.a.trim() !== "" || row.b.trim() !== "")
+      .map((row) => ({ a: Number(row.a), b: Number(row.b) }));
+    const parsed = parseSets(sets, format);
+    if (parsed.error) {
+      setError(parsed.error);
+      return;
+    }
+    onSets(parsed.sets);
+    setOpen(false);
+  }
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", alignItems: "flex-end", gap: 6 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+        <span style={{ color: "#666", fontSize: 12 }}>Ergebnis:</span>
+        <select
+          value={currentValue}
+          onChange={(e) => onResult(e.target.value)}
+          disabled={disabled}
+          style={{ padding: "8px 10px" }}
+        >
+          {resultOptions(format).map((o) => (
+            <option key={o.value} value={o.value}>
+              {o.label}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={() => (open ? setOpen(false) : openEditor())}
+          disabled={disabled}
+          style={{ padding: "8px 10px" }}
+        >
+          Sätze
+        </button>
+      </div>
+
+      {match.sets?.length > 0 && !open ? (
+        <div style={{ color: "#666", fontSize: 12 }}>{formatSets(match.sets)}</div>
+      ) : null}
+
+      {open ? (
+        <div style={{ display: "flex", flexDirection: "column", gap: 4, alignItems: "flex-end" }}>
+          {draft.map((row, i) => (
+            <div key={i} style={{ display: "flex", alignItems: "center", gap: 4, fontSize: 12 }}>
+              <span style={{ color: "#666" }}>Satz {i + 1}</span>
+              <input
+                inputMode="numeric"
+                value={row.a}
+                onChange={(e) => setCell(i, "a", e.target.value)}
+                style={{ width: 44, padding: 6 }}
+              />
+              :
+              <input
+                inputMode="numeric"
+                value={row.b}
+                onChange={(e) => setCell(i, "b", e.target.value)}
+                style={{ width: 44, padding: 6 }}
+              />
+            </div>
+          ))}
+          {error ? <div style={{ color: "#b00020", fontSize: 12 }}>{error}</div> : null}
+          <button onClick={apply} style={{ padding: "6px 10px" }}>
+            Übernehmen
+          </button>
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,135 @@
+import { useState } from "react";
+import { DEFAULT_TTR } from "./rating.js";
+import { defaultSeason, inSeason } from "./seasons.js";
+
+function formatDate(date) {
+  return new Date(`${date}T00:00:00`).toLocaleDateString("de-DE");
+}
+
+// Saisons anlegen und abschließen (archivieren)
+export default function SeasonPanel({ seasons, completed, onCreate, onClose }) {
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState("");
+  const [closing, setClosing] = useState(null);
+  const [ttr, setTtr] = useState("carry");
+
+  function create() {
+    const err = onCreate(draft);
+    if (err) {
+      setError(err);
+      return;
+    }
+    setDraft(null);
+    setError("");
+  }
+
+  function close() {
+    onClose(closing, ttr);
+    setClosing(null);
+  }
+
+  const sorted = [...seasons].sort((a, b) => b.start.localeCompare(a.start));
+
+  return (
+    <div style={{ border: "1px solid #ddd", borderRadius: 10, padding: 16, marginTop: 16 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+        <h2 style={{ margin: 0 }}>Saisons</h2>
+        {draft ? null : (
+          <button
+            onClick={() => {
+              setDraft(defaultSeason(new Date(), seasons));
+              setError("");
+            }}
+            style={{ padding: "8px 10px" }}
+          >
+            Neue Saison
+          </button>
+        )}
+      </div>
+
+      {draft ? (
+        <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginTop: 10 }}>
+          <input
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            placeholder="Name"
+            style={{ padding: 6 }}
+          />
+          <input
+            type="date"
+            value={draft.start}
+            onChange={(e) => setDraft({ ...draft, start: e.target.value })}
+            style={{ padding: 6 }}
+          />
+          bis
+          <input
+            type="date"
+            value={draft.end}
+            onChange={(e) => setDraft({ ...draft, end: e.target.value })}
+            style={{ padding: 6 }}
+          />
+          <button onClick={create} style={{ padding: "8px 10px" }}>
+            Anlegen
+          </button>
+          <button onClick={() => setDraft(null)} style={{ padding: "8px 10px" }}>
+            Abbrechen
+          </button>
+        </div>
+      ) : null}
+      {error ? <div style={{ color: "#b00020", marginTop: 8 }}>{error}</div> : null}
+
+      {sorted.length === 0 ? (
+        <div style={{ color: "#777", fontSize: 13, marginTop: 10 }}>
+          Noch keine Saison angelegt. Ohne Saison zählen alle Trainingstage zur Gesamtrangliste.
+        </div>
+      ) : (
+        <div style={{ border: "1px solid #eee", borderRadius: 10, overflow: "hidden", marginTop: 10 }}>
+          {sorted.map((s, idx) => (
+            <div
+              key={s.id}
+              style={{
+                padding: 10,
+                borderTop: idx === 0 ? "none" : "1px solid #f0f0f0",
+                fontSize: 13,
+                background: s.closed ? "#fafafa" : "white",
+              }}
+            >
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+                <div>
+                  <b>{s.name}</b> · {formatDate(s.start)} – {formatDate(s.end)} ·{" "}
+                  {s.closed ? s.final.days : completed.filter((d) => inSeason(s, d.finishedAt)).length} Trainingstage
+                  {s.closed ? (
+                    <span style={{ color: "#666" }}>
+                      {" "}
+                      · archiviert{s.ttr === "reset" ? `, TTR danach auf ${DEFAULT_TTR} zurückgesetzt` : ""}
+                    </span>
+                  ) : null}
+                </div>
+                {!s.closed && closing !== s.id ? (
+                  <button onClick={() => setClosing(s.id)} style={{ padding: "6px 10px" }}>
+                    Abschließen
+                  </button>
+                ) : null}
+              </div>
+
+              {closing === s.id ? (
+                <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginTop: 8 }}>
+                  <select value={ttr} onChange={(e) => setTtr(e.target.value)} style={{ padding: "6px 8px" }}>
+                    <option value="carry">TTR in die nächste Saison übernehmen</option>
+                    <option value="reset">TTR für alle auf {DEFAULT_TTR} zurücksetzen</option>
+                  </select>
+                  <button onClick={close} style={{ padding: "6px 10px" }}>
+                    Saison archivieren
+                  </button>
+                  <button onClick={() => setClosing(null)} style={{ padding: "6px 10px" }}>
+                    Abbrechen
+                  </button>
+                </div>
+              ) : null}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+import { useState } from "react";
+
+// Teilnehmer einer laufenden Rangliste: nachmelden und abmelden
+export default function SessionPlayers({ session, players, canJoin, canWithdraw, onAdd, onWithdraw }) {
+  const [addId, setAddId] = useState("");
+  const inSession = new Set(session.players.map((p) => p.id));
+  const available = players.filter((p) => !inSession.has(p.id));
+
+  return (
+    <details style={{ marginTop: 12 }}>
+      <summary style={{ cursor: "pointer", color: "#555" }}>
+        Teilnehmer verwalten ({session.players.filter((p) => !p.withdrawn).length} spielen mit)
+      </summary>
+
+      <div style={{ border: "1px solid #eee", borderRadius: 10, overflow: "hidden", marginTop: 8 }}>
+        {session.players.map((p, idx) => (
+          <div
+            key={p.id}
+            style={{
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+              gap: 8,
+              padding: 10,
+              borderTop: idx === 0 ? "none" : "1px solid #f0f0f0",
+              fontSize: 13,
+              color: p.withdrawn ? "#999" : "#111",
+            }}
+          >
+            <div>
+              <b>{p.name}</b>
+              {p.joinedRound > 1 ? ` · ab Runde ${p.joinedRound}` : ""}
+              {p.withdrawn ? ` · abgemeldet nach Runde ${p.withdrawnAfterRound}` : ""}
+            </div>
+            {canWithdraw ? (
+              <button onClick={() => onWithdraw(p.id, !p.withdrawn)} style={{ padding: "6px 10px" }}>
+                {p.withdrawn ? "Zurückholen" : "Abmelden"}
+              </button>
+            ) : null}
+          </div>
+        ))}
+      </div>
+
+      {canJoin ? (
+        <div style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 8 }}>
+          <select value={addId} onChange={(e) => setAddId(e.target.value)} style={{ padding: "8px 10px" }}>
+            <option value="">— Spieler nachmelden —</option>
+            {available.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.name}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => {
+              onAdd(addId);
+              setAddId("");
+            }}
+            disabled={!addId}
+            style={{ padding: "8px 10px" }}
+          >
+            Nachmelden
+          </button>
+        </div>
+      ) : null}
+    </details>
+  );
+}
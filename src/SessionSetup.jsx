@@ -0,0 +1,199 @@
+import { DOUBLES_MODES } from "./doubles.js";
+import { PAIRING_MODES } from "./pairing.js";
+import { BYE_MODES, LATE_MODES, MATCH_FORMATS, SESSION_TYPES, roundRobinRounds } from "./rules.js";
+
+// Setup vor "Rangliste starten": Modus, Runden, Auslosung, Punkte, Spielformat
+export default function SessionSetup({ value, onChange, onStart, onCancel, activeCount }) {
+  function set(field, v) {
+    onChange({ ...value, [field]: v });
+  }
+
+  const row = { display: "flex", alignItems: "center", gap: 8, marginTop: 8 };
+  const label = { width: 180, color: "#555" };
+  const roundRobin = value.type === "roundrobin";
+
+  return (
+    <div style={{ border: "1px solid #ddd", borderRadius: 10, padding: 16, marginTop: 12 }}>
+      <h2 style={{ marginTop: 0 }}>Neue Rangliste</h2>
+      <div style={{ color: "#555", fontSize: 13 }}>
+        Teilnehmer: <b>{activeCount}</b> anwesende Spieler
+      </div>
+
+      <div style={row}>
+        <span style={label}>Modus</span>
+        <select value={value.type} onChange={(e) => set("type", e.target.value)} style={{ padding: "8px 10px" }}>
+          {SESSION_TYPES.map((t) => (
+            <option key={t.value} value={t.value}>
+              {t.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {value.type === "tournament" ? (
+        <div style={row}>
+          <span style={label}>Gruppen / Weiter pro Gruppe</span>
+          {["groups", "qualifiers"].map((field) => (
+            <input
+              key={field}
+              type="number"
+              min={1}
+              max={16}
+              value={value[field]}
+              onChange={(e) => set(field, e.target.value)}
+              style={{ width: 60, padding: 8 }}
+            />
+          ))}
+          <span style={{ color: "#555", fontSize: 13 }}>Runden ergeben sich aus Gruppen und KO-Baum</span>
+        </div>
+      ) : roundRobin ? (
+        <div style={row}>
+          <span style={label}>Runden</span>
+          <span>
+            <b>{roundRobinRounds(activeCount)}</b>{" "}
+            <span style={{ color: "#555", fontSize: 13 }}>
+              (automatisch{activeCount % 2 === 1 ? ", jeder hat einmal spielfrei" : ""})
+            </span>
+          </span>
+        </div>
+      ) : (
+        <>
+          <div style={row}>
+            <span style={label}>Runden</span>
+            <input
+              type="number"
+              min={1}
+              max={30}
+              value={value.rounds}
+              onChange={(e) => set("rounds", e.target.value)}
+              style={{ width: 80, padding: 8 }}
+            />
+          </div>
+
+          {value.type === "doubles" ? (
+            <div style={row}>
+              <span style={label}>Doppel</span>
+              <select
+                value={value.doubles}
+                onChange={(e) => set("doubles", e.target.value)}
+                style={{ padding: "8px 10px" }}
+              >
+                {DOUBLES_MODES.map((o) => (
+                  <option key={o.value} value={o.value}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+              <span style={{ color: "#555", fontSize: 13 }}>
+                {value.doubles === "fixed"
+                  ? "Stärkster mit Schwächstem nach TTR"
+                  : "möglichst immer neue Partner und Gegner"}
+              </span>
+            </div>
+          ) : (
+            <div style={row}>
+              <span style={label}>Auslosung</span>
+              <select
+                value={value.pairing}
+                onChange={(e) => set("pairing", e.target.value)}
+                style={{ padding: "8px 10px" }}
+              >
+                {PAIRING_MODES.map((o) => (
+                  <option key={o.value} value={o.value}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+        </>
+      )}
+
+      <div style={row}>
+        <span style={label}>Spielformat</span>
+        <select value={value.format} onChange={(e) => set("format", e.target.value)} style={{ padding: "8px 10px" }}>
+          {MATCH_FORMATS.map((f) => (
+            <option key={f.value} value={f.value}>
+              {f.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div style={row}>
+        <span style={label}>Punkte Sieg / Niederlage / Freilos</span>
+        {["winPoints", "lossPoints", "byePoints"].map((field) => (
+          <input
+            key={field}
+            type="number"
+            min={0}
+            max={10}
+            value={value[field]}
+            onChange={(e) => set(field, e.target.value)}
+            style={{ width: 60, padding: 8 }}
+          />
+        ))}
+      </div>
+
+      <div style={row}>
+        <span style={label}>Freilos-Wertung</span>
+        <select value={value.byeMode} onChange={(e) => set("byeMode", e.target.value)} style={{ padding: "8px 10px" }}>
+          {BYE_MODES.map((m) => (
+            <option key={m.value} value={m.value}>
+              {m.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {value.type === "ranking" || (value.type === "doubles" && value.doubles !== "fixed") ? (
+        <div style={row}>
+          <span style={label}>Nachzügler</span>
+          <select
+            value={value.lateMode}
+            onChange={(e) => set("lateMode", e.target.value)}
+            style={{ padding: "8px 10px" }}
+          >
+            {LATE_MODES.map((m) => (
+              <option key={m.value} value={m.value}>
+                {m.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      ) : null}
+
+      <div style={row}>
+        <span style={label}>Tische</span>
+        <input
+          type="number"
+          min={0}
+          max={50}
+          value={value.tables}
+          onChange={(e) => set("tables", e.target.value)}
+          style={{ width: 80, padding: 8 }}
+        />
+        <span style={{ color: "#555", fontSize: 13 }}>0 = ohne Tischverteilung</span>
+      </div>
+
+      <label style={row}>
+        <span style={label}>Feinwertung</span>
+        <input
+          type="checkbox"
+          checked={Boolean(value.ballTiebreak)}
+          onChange={(e) => set("ballTiebreak", e.target.checked)}
+        />
+        <span style={{ color: "#555", fontSize: 13 }}>Balldifferenz nach Satzdifferenz</span>
+      </label>
+
+      <div style={{ display: "flex", gap: 8, marginTop: 14 }}>
+        <button onClick={onStart} style={{ padding: "10px 14px" }}>
+          Starten
+        </button>
+        <button onClick={onCancel} style={{ padding: "10px 14px" }}>
+          Abbrechen
+        </button>
+      </div>
+    </div>
+  );
+}
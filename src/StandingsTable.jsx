@@ -0,0 +1,75 @@
+import { signed } from "./util.js";
+
+// Tabelle für Tages-, Gesamt- und Gruppenwertung
+export default function StandingsTable({ rows, showBalls = false }) {
+  const perGame = rows.some((s) => s.perGame !== undefined);
+  const perDay = rows.some((s) => s.perDay !== undefined);
+  const days = rows.some((s) => s.days !== undefined);
+  const columns =
+    `40px 1fr 80px ${perGame ? "80px " : ""}${perDay ? "80px " : ""}80px 80px 140px` +
+    `${showBalls ? " 140px" : ""}${days ? " 60px" : ""}`;
+
+  return (
+    <div style={{ border: "1px solid #eee", borderRadius: 10, overflow: "hidden" }}>
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: columns,
+          padding: 10,
+          background: "#f7f7f7",
+          fontWeight: 600,
+          fontSize: 13,
+          color: "#111",
+          gap: 8,
+        }}
+      >
+        <div>#</div>
+        <div>Name</div>
+        <div>Pkt</div>
+        {perGame ? <div>Pkt/Sp</div> : null}
+        {perDay ? <div>Pkt/Tag</div> : null}
+        <div>Sp</div>
+        <div>S/N</div>
+        <div>Sätze</div>
+        {showBalls ? <div>Bälle</div> : null}
+        {days ? <div>Tage</div> : null}
+      </div>
+
+      {rows.map((s, i) => (
+        <div
+          key={s.id ?? `${s.name}-${i}`}
+          style={{
+            display: "grid",
+            gridTemplateColumns: columns,
+            padding: 10,
+            borderTop: "1px solid #f0f0f0",
+            gap: 8,
+            alignItems: "center",
+          }}
+        >
+          <div>{i + 1}</div>
+          <div style={{ fontWeight: 600, color: "#111" }}>
+            {s.name}
+            {s.withdrawn ? <span style={{ color: "#999", fontWeight: 400 }}> (abgemeldet)</span> : null}
+          </div>
+          <div>{s.points}</div>
+          {perGame ? <div>{(s.perGame ?? 0).toFixed(2).replace(".", ",")}</div> : null}
+          {perDay ? <div>{(s.perDay ?? 0).toFixed(2).replace(".", ",")}</div> : null}
+          <div>{s.played}</div>
+          <div>
+            {s.wins}/{s.losses}
+          </div>
+          <div>
+            {s.setsWon}:{s.setsLost} ({signed(s.setsWon - s.setsLost)})
+          </div>
+          {showBalls ? (
+            <div>
+              {s.ballsWon ?? 0}:{s.ballsLost ?? 0} ({signed((s.ballsWon ?? 0) - (s.ballsLost ?? 0))})
+            </div>
+          ) : null}
+          {days ? <div>{s.days}</div> : null}
+        </div>
+      ))}
+    </div>
+  );
+}
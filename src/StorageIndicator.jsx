@@ -0,0 +1,93 @@
+import { useEffect, useState } from "react";
+import { onStorageError, requestPersistence, storageInfo } from "./storage.js";
+
+const REFRESH_MS = 60000;
+const WARN_RATIO = 0.8;
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toLocaleString("de-DE", { maximumFractionDigits: 1 })} MB`;
+  return `${(bytes / 1024 / 1024 / 1024).toLocaleString("de-DE", { maximumFractionDigits: 1 })} GB`;
+}
+
+// Speicherbelegung; warnt, solange der Browser die Daten löschen dürfte
+export default function StorageIndicator() {
+  const [info, setInfo] = useState(null);
+
+  useEffect(() => {
+    let alive = true;
+    const refresh = () =>
+      storageInfo().then((next) => {
+        if (alive) setInfo(next);
+      });
+    refresh();
+    const timer = setInterval(refresh, REFRESH_MS);
+    const off = onStorageError(refresh);
+    return () => {
+      alive = false;
+      clearInterval(timer);
+      off();
+    };
+  }, []);
+
+  async function persist() {
+    const ok = await requestPersistence();
+    if (!ok) {
+      alert(
+        "Der Browser hat dauerhaftes Speichern abgelehnt. Meist hilft es, die App zu installieren " +
+          "(„Zum Startbildschirm hinzufügen“). Bis dahin regelmäßig ein Backup herunterladen."
+      );
+    }
+    setInfo(await storageInfo());
+  }
+
+  if (!info) return null;
+
+  const ratio = info.usage !== null && info.quota ? info.usage / info.quota : null;
+  const usage =
+    info.usage !== null
+      ? `${formatBytes(info.usage)}${info.quota ? ` von ${formatBytes(info.quota)}` : ""} belegt`
+      : "Belegung unbekannt";
+
+  let warning = null;
+  if (info.error) {
+    warning = `Speichern fehlgeschlagen (${info.error}). Bitte sofort ein Backup herunterladen.`;
+  } else if (ratio !== null && ratio >= WARN_RATIO) {
+    warning = `Speicher fast voll (${Math.round(ratio * 100)} %). Bitte ein Backup herunterladen und alte Saisons aufräumen.`;
+  } else if (info.backend === "localstorage") {
+    warning = "Nur eingeschränkter Speicher verfügbar (z.B. privates Fenster). Daten gehen beim Schließen evtl. verloren.";
+  } else if (!info.persisted) {
+    warning = "Der Browser darf die Daten bei Speichermangel löschen. Regelmäßig ein Backup herunterladen.";
+  }
+
+  if (!warning) {
+    return <div style={{ fontSize: 12, color: "#888", marginBottom: 8 }}>Speicher: {usage} · dauerhaft gesichert</div>;
+  }
+
+  const severe = Boolean(info.error) || (ratio !== null && ratio >= WARN_RATIO);
+  return (
+    <div
+      style={{
+        fontSize: 13,
+        marginBottom: 8,
+        padding: 8,
+        border: `1px solid ${severe ? "#e0a0a0" : "#f0c36d"}`,
+        background: severe ? "#fdecec" : "#fff8e6",
+        borderRadius: 8,
+        display: "flex",
+        gap: 8,
+        alignItems: "center",
+        flexWrap: "wrap",
+      }}
+    >
+      <span style={{ flex: 1 }}>
+        <b>Speicher:</b> {warning} <span style={{ color: "#666" }}>({usage})</span>
+      </span>
+      {!info.persisted && info.backend === "indexeddb" ? (
+        <button onClick={persist} style={{ padding: "4px 10px" }}>
+          Dauerhaft speichern
+        </button>
+      ) : null}
+    </div>
+  );
+}
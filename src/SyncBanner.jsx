@@ -0,0 +1,35 @@
+const STATES = {
+  online: { label: "Abgleich aktiv", color: "#1a7f37" },
+  connecting: { label: "Verbinde mit Server …", color: "#b26a00" },
+  offline: { label: "Server nicht erreichbar – Änderungen werden nachgereicht", color: "#b00020" },
+  denied: { label: "Zugangscode falsch – unter „Geräte abgleichen“ trennen und neu verbinden", color: "#b00020" },
+};
+
+// Status des Abgleichs und verworfene eigene Eingaben (Konflikte)
+export default function SyncBanner({ status, notices, onDismiss }) {
+  const state = STATES[status.state] ?? STATES.connecting;
+  return (
+    <div style={{ fontSize: 13, marginBottom: 8 }}>
+      <span style={{ color: state.color, fontWeight: 600 }}>● {state.label}</span>
+      {status.pending ? <span style={{ color: "#666" }}> · {status.pending} Änderungen warten</span> : null}
+      {notices.length > 0 ? (
+        <div
+          style={{
+            marginTop: 6,
+            padding: 10,
+            border: "1px solid #f0c36d",
+            background: "#fff8e6",
+            borderRadius: 8,
+          }}
+        >
+          {notices.map((n, i) => (
+            <div key={i}>{n}</div>
+          ))}
+          <button onClick={onDismiss} style={{ padding: "4px 10px", marginTop: 6 }}>
+            OK
+          </button>
+        </div>
+      ) : null}
+    </div>
+  );
+}
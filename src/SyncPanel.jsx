@@ -0,0 +1,61 @@
+import { useState } from "react";
+
+// Geräte abgleichen: Adresse des Vereinsservers im Hallen-WLAN (pro Gerät)
+export default function SyncPanel({ url, onConnect, onDisconnect }) {
+  const [draft, setDraft] = useState(url || "ws://");
+  const [code, setCode] = useState("");
+
+  function connect(e) {
+    e.preventDefault();
+    const value = draft.trim();
+    if (!/^wss?:\/\/.+/.test(value)) {
+      alert("Bitte die Adresse des Servers angeben, z.B. ws://192.168.178.20:8787");
+      return;
+    }
+    if (!code.trim()) {
+      alert("Bitte den Zugangscode eintragen, den der Server beim Start anzeigt.");
+      return;
+    }
+    onConnect(value, code.trim());
+  }
+
+  return (
+    <div style={{ border: "1px solid #ddd", borderRadius: 10, padding: 16, marginTop: 16 }}>
+      <h2 style={{ marginTop: 0 }}>Geräte abgleichen</h2>
+      {url ? (
+        <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+          <span style={{ color: "#555", fontSize: 13 }}>
+            Verbunden mit <b>{url}</b>
+          </span>
+          <button onClick={onDisconnect} style={{ padding: "8px 10px" }}>
+            Trennen
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={connect} style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+          <input
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder="ws://192.168.178.20:8787"
+            style={{ padding: 6, flex: 1, minWidth: 220 }}
+          />
+          <input
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="Zugangscode"
+            autoCapitalize="characters"
+            style={{ padding: 6, width: 130 }}
+          />
+          <button style={{ padding: "8px 10px" }}>Verbinden</button>
+        </form>
+      )}
+      <div style={{ color: "#666", fontSize: 12, marginTop: 6 }}>
+        Mehrere Handys tragen gleichzeitig Ergebnisse ein: Auf einem Laptop in der Halle{" "}
+        <code>npm run sync-server</code> starten und die angezeigte Adresse samt Zugangscode hier eintragen. Spieler, laufende
+        Rangliste, Trainingstage, TTR-Historie, Anwesenheit und Saisons werden abgeglichen. Ohne Verbindung wird
+        weiter lokal gespeichert und später nachgereicht. Tragen zwei Geräte dieselbe Begegnung ein, gilt das
+        zuerst gespeicherte Ergebnis. Ein neues Gerät am besten leer verbinden.
+      </div>
+    </div>
+  );
+}
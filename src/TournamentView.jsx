@@ -0,0 +1,80 @@
+import StandingsTable from "./StandingsTable.jsx";
+import { groupTables, koRoundName, matchWinner } from "./tournament.js";
+
+// Gruppentabellen und KO-Baum eines Turniers
+export default function TournamentView({ session, rules, nameById }) {
+  const tables = groupTables(session, rules);
+  const koRounds = session.koRounds ?? 0;
+  const koMatches = (session.matches ?? []).filter((m) => m.stage === "ko");
+  const name = (id) => (id ? nameById.get(id) ?? "?" : "—");
+
+  return (
+    <div>
+      {tables.map((t) => (
+        <div key={t.id} style={{ marginTop: 18 }}>
+          <h3 style={{ marginBottom: 8 }}>
+            {t.name}{" "}
+            <span style={{ color: "#666", fontWeight: 400, fontSize: 13 }}>
+              (Plätze 1–{rules.qualifiers} kommen weiter)
+            </span>
+          </h3>
+          <StandingsTable rows={t.rows} showBalls={rules.ballTiebreak} />
+        </div>
+      ))}
+
+      {koRounds > 0 ? (
+        <div style={{ marginTop: 18 }}>
+          <h3 style={{ marginBottom: 8 }}>KO-Runde</h3>
+          {koMatches.length === 0 ? (
+            <div style={{ color: "#777" }}>Wird nach der Gruppenphase ausgelost.</div>
+          ) : (
+            <div style={{ display: "flex", gap: 12, overflowX: "auto" }}>
+              {Array.from({ length: koRounds }, (_, i) => i + 1).map((k) => {
+                const list = koMatches.filter((m) => m.koRound === k).sort((x, y) => x.slot - y.slot);
+                return (
+                  <div key={k} style={{ minWidth: 180, display: "flex", flexDirection: "column", gap: 8 }}>
+                    <div style={{ fontWeight: 600, fontSize: 13 }}>{koRoundName(k, koRounds)}</div>
+                    {list.length === 0 ? <div style={{ color: "#999", fontSize: 12 }}>offen</div> : null}
+                    {list.map((m) => {
+                      const winner = matchWinner(m);
+                      const line = (id, score) => (
+                        <div
+                          style={{
+                            display: "flex",
+                            justifyContent: "space-between",
+                            fontWeight: winner && winner === id ? 700 : 400,
+                          }}
+                        >
+                          <span>{name(id)}</span>
+                          <span>{score ?? ""}</span>
+                        </div>
+                      );
+                      return (
+                        <div
+                          key={m.id}
+                          style={{ border: "1px solid #eee", borderRadius: 8, padding: 8, fontSize: 13 }}
+                        >
+                          {m.byeId ? (
+                            <>
+                              {line(m.byeId, null)}
+                              <div style={{ color: "#666", fontSize: 12 }}>Freilos</div>
+                            </>
+                          ) : (
+                            <>
+                              {line(m.aId, m.scoreA)}
+                              {line(m.bId, m.scoreB)}
+                            </>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+// Rückgängig/Wiederholen und Name des Bearbeiters (für den Verlauf, pro Gerät)
+export default function UndoBar({ undoText, redoText, editor, onUndo, onRedo, onEditor }) {
+  return (
+    <div
+      style={{
+        display: "flex",
+        gap: 8,
+        alignItems: "center",
+        flexWrap: "wrap",
+        padding: "8px 0",
+        borderBottom: "1px solid #eee",
+        marginBottom: 8,
+      }}
+    >
+      <button onClick={onUndo} disabled={!undoText} title={undoText ?? ""} style={{ padding: "8px 12px" }}>
+        ↶ Rückgängig
+      </button>
+      <button onClick={onRedo} disabled={!redoText} title={redoText ?? ""} style={{ padding: "8px 12px" }}>
+        ↷ Wiederholen
+      </button>
+      <span style={{ color: "#666", fontSize: 12, flex: 1, minWidth: 120 }}>
+        {undoText ? `Zuletzt: ${undoText}` : null}
+      </span>
+      <label style={{ display: "flex", gap: 6, alignItems: "center", color: "#555", fontSize: 13 }}>
+        Bearbeiter:
+        <input
+          value={editor}
+          onChange={(e) => onEditor(e.target.value)}
+          placeholder="z.B. Trainer Tom"
+          style={{ padding: 6, width: 140 }}
+        />
+      </label>
+    </div>
+  );
+}
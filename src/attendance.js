@@ -0,0 +1,116 @@
+// Anwesenheit und Trainingsbuch: ein Eintrag pro Trainingstag (auch ohne
+// Rangliste) mit den anwesenden Spielern und einer Notiz zum Inhalt.
+// Eintrag: { id, date: "YYYY-MM-DD", playerIds, note, dayIds }
+
+import { localDate } from "./seasons.js";
+
+// neue Einträge heißen wie ihr Datum: legen zwei Geräte denselben Tag an,
+// meldet der Abgleich einen Konflikt statt zwei Einträge zu speichern
+function upsert(log, date, update) {
+  const existing = log.find((e) => e.date === date);
+  if (!existing) return [...log, update({ id: date, date, playerIds: [], note: "", dayIds: [] })];
+  return log.map((e) => (e === existing ? update(e) : e));
+}
+
+// Von Hand gespeichert: Liste des Tages wird ersetzt, leere Notiz lässt die alte
+// stehen. Teilnehmer der Ranglisten dieses Tages (dayIds) bleiben eingetragen.
+export function saveTraining(log, { date, playerIds, note }, completed = []) {
+  return upsert(log, date, (e) => {
+    const ranked = completed.filter((d) => e.dayIds.includes(d.id)).flatMap((d) => (d.players ?? []).map((p) => p.id));
+    return { ...e, playerIds: [...new Set([...playerIds, ...ranked])], note: note.trim() || e.note };
+  });
+}
+
+// Beim Abschließen einer Rangliste: Teilnehmer kommen zur Liste des Tages dazu
+export function addRankingDay(log, { date, playerIds, dayId }) {
+  return upsert(log, date, (e) => ({
+    ...e,
+    playerIds: [...new Set([...e.playerIds, ...playerIds])],
+    dayIds: e.dayIds.includes(dayId) ? e.dayIds : [...e.dayIds, dayId],
+  }));
+}
+
+// Backup zusammenführen: gleiche Tage werden vereinigt
+export function mergeAttendance(current, incoming) {
+  let out = current;
+  for (const e of incoming) {
+    if (!out.some((x) => x.date === e.date)) {
+      out = [...out, e];
+      continue;
+    }
+    out = upsert(out, e.date, (x) => ({
+      ...x,
+      playerIds: [...new Set([...x.playerIds, ...e.playerIds])],
+      note: x.note || e.note,
+      dayIds: [...new Set([...x.dayIds, ...e.dayIds])],
+    }));
+  }
+  return out;
+}
+
+// Für die Migration: bisherige Spieltage als Anwesenheit übernehmen
+export function attendanceFromDays(completed) {
+  let log = [];
+  for (const day of completed) {
+    if (!day.finishedAt) continue;
+    log = addRankingDay(log, {
+      date: localDate(day.finishedAt),
+      playerIds: (day.players ?? []).map((p) => p.id).filter(Boolean),
+      dayId: day.id,
+    });
+  }
+  return log;
+}
+
+// period = { start, end } als YYYY-MM-DD (z.B. eine Saison) oder null = alles
+export function trainingsIn(log, period) {
+  return log
+    .filter((e) => !period || (e.date >= period.start && e.date <= period.end))
+    .sort((x, y) => x.date.localeCompare(y.date));
+}
+
+export function percent(present, total) {
+  return total ? Math.round((present / total) * 100) : 0;
+}
+
+export function monthLabel(key) {
+  const [y, m] = key.split("-");
+  return `${m}/${y}`;
+}
+
+// Anwesenheit je Spieler und Monat; Quote = anwesend / Trainingstage im Zeitraum.
+// Spieler ohne einen einzigen Besuch im Zeitraum fehlen in der Liste.
+export function attendanceReport(log, players, period) {
+  const trainings = trainingsIn(log, period);
+  const months = [];
+  for (const e of trainings) {
+    const key = e.date.slice(0, 7);
+    const last = months[months.length - 1];
+    if (last?.key === key) last.total++;
+    else months.push({ key, total: 1 });
+  }
+
+  const rows = players
+    .map((p) => {
+      const byMonth = {};
+      let present = 0;
+      for (const e of trainings) {
+        if (!e.playerIds.includes(p.id)) continue;
+        const key = e.date.slice(0, 7);
+        byMonth[key] = (byMonth[key] ?? 0) + 1;
+        present++;
+      }
+      return { id: p.id, name: p.name, byMonth, present, total: trainings.length };
+    })
+    .filter((r) => r.present > 0)
+    .sort((x, y) => y.present - x.present || x.name.localeCompare(y.name, "de"));
+
+  return { trainings, months, rows };
+}
+
+// Trainingstage eines Spielers, neueste zuerst
+export function playerAttendance(log, playerId, period) {
+  return trainingsIn(log, period)
+    .map((e) => ({ ...e, present: e.playerIds.includes(playerId) }))
+    .reverse();
+}
@@ -0,0 +1,199 @@
+// Backup-Datei und Schema-Versionen.
+// Alle Daten (Spieler, laufende Session, abgeschlossene Tage, TTR-Historie,
+// Einstellungen, Verein, Saisons, Anwesenheit) haben eine gemeinsame Schema-Version. Ältere Stände werden
+// über MIGRATIONS Schritt für Schritt auf SCHEMA_VERSION gebracht – beim
+// Laden aus dem Browser genauso wie beim Import einer Backup-Datei.
+
+import { attendanceFromDays, mergeAttendance } from "./attendance.js";
+import { remapPlayerIds } from "./players.js";
+import { DEFAULT_TTR } from "./rating.js";
+import { KEYS, loadJSON } from "./storage.js";
+
+export const SCHEMA_VERSION = 4;
+const APP_ID = "vereinsapp";
+
+function arr(x) {
+  return Array.isArray(x) ? x : [];
+}
+
+function isObject(x) {
+  return Boolean(x) && typeof x === "object" && !Array.isArray(x);
+}
+
+// Beschädigte Keys oder Einträge aussortieren – bei jedem Laden, nicht nur
+// wenn migriert wird, sonst bringt ein kaputter Eintrag die Anzeige zum Absturz
+function normalize(data) {
+  const club = isObject(data.club) ? data.club : {};
+  return {
+    ...data,
+    players: arr(data.players)
+      .filter((p) => isObject(p) && p.id && typeof p.name === "string")
+      .map((p) => (Number.isFinite(p.ttr) ? p : { ...p, ttr: DEFAULT_TTR })),
+    session: isObject(data.session) && Array.isArray(data.session.players) ? data.session : null,
+    completed: arr(data.completed).filter((d) => isObject(d) && d.id),
+    ratingLog: arr(data.ratingLog).filter(
+      (e) => isObject(e) && e.id && e.playerId && Number.isFinite(e.before) && Number.isFinite(e.after)
+    ),
+    settings: isObject(data.settings) ? data.settings : {},
+    club: { ...club, name: typeof club.name === "string" ? club.name : "" },
+    seasons: arr(data.seasons).filter(
+      (x) => isObject(x) && x.id && typeof x.name === "string" && typeof x.start === "string" && typeof x.end === "string"
+    ),
+    attendance: arr(data.attendance)
+      .filter((e) => isObject(e) && e.id && typeof e.date === "string" && Array.isArray(e.playerIds))
+      .map((e) =>
+        Array.isArray(e.dayIds) && typeof e.note === "string"
+          ? e
+          : { ...e, note: String(e.note ?? ""), dayIds: arr(e.dayIds) }
+      ),
+  };
+}
+
+// MIGRATIONS[n] bringt Daten von Version n auf n + 1
+const MIGRATIONS = {
+  // 0: Daten von vor der Versionierung (nur die localStorage-Keys)
+  0: (data) => ({
+    ...data,
+    players: arr(data.players).map((p) => ({
+      ...p,
+      ttr: Number.isFinite(p.ttr) ? p.ttr : DEFAULT_TTR,
+      active: Boolean(p.active),
+    })),
+    completed: arr(data.completed),
+    ratingLog: arr(data.ratingLog),
+    session: data.session ?? null,
+    settings: data.settings ?? {},
+  }),
+  // 1: Vereinsangaben für Exporte/Ausdrucke
+  1: (data) => ({
+    ...data,
+    club: { name: "", ...(data.club ?? {}) },
+  }),
+  // 2: Saisons mit Archiv
+  2: (data) => ({
+    ...data,
+    seasons: arr(data.seasons),
+  }),
+  // 3: Anwesenheit/Trainingsbuch, bisherige Spieltage werden übernommen
+  3: (data) => ({
+    ...data,
+    attendance: arr(data.attendance).length ? data.attendance : attendanceFromDays(arr(data.completed)),
+  }),
+};
+
+export function migrate(data, fromVersion) {
+  let out = data;
+  for (let v = fromVersion; v < SCHEMA_VERSION; v++) {
+    const step = MIGRATIONS[v];
+    if (!step) throw new Error(`Keine Migration von Version ${v} vorhanden.`);
+    out = step(out);
+  }
+  return out;
+}
+
+// Gespeicherte Daten aus dem Browser, auf aktuelle Version migriert
+export function loadStoredData() {
+  const data = {
+    players: loadJSON(KEYS.players, []),
+    session: loadJSON(KEYS.session, null),
+    completed: loadJSON(KEYS.completed, []),
+    ratingLog: loadJSON(KEYS.ratingLog, []),
+    settings: loadJSON(KEYS.settings, {}),
+    club: loadJSON(KEYS.club, undefined),
+    seasons: loadJSON(KEYS.seasons, []),
+    attendance: loadJSON(KEYS.attendance, []),
+  };
+  const version = Number(loadJSON(KEYS.schema, 0)) || 0;
+  return migrate(normalize(data), Math.min(version, SCHEMA_VERSION));
+}
+
+export function createBackup(data) {
+  return {
+    app: APP_ID,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    data: {
+      players: data.players,
+      session: data.session,
+      completed: data.completed,
+      ratingLog: data.ratingLog,
+      settings: data.settings,
+      club: data.club,
+      seasons: data.seasons,
+      attendance: data.attendance,
+    },
+  };
+}
+
+// Prüft eine Backup-Datei und migriert sie; wirft Error mit lesbarer Meldung
+export function parseBackup(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new Error("Die Datei ist kein gültiges JSON.");
+  }
+  if (!file || typeof file !== "object" || file.app !== APP_ID) {
+    throw new Error("Die Datei ist kein Vereinsapp-Backup.");
+  }
+  const version = file.schemaVersion;
+  if (!Number.isInteger(version) || version < 0) throw new Error("Unbekannte Schema-Version.");
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Backup ist neuer (Version ${version}) als diese App (Version ${SCHEMA_VERSION}).`);
+  }
+
+  const d = file.data;
+  if (!d || typeof d !== "object") throw new Error("Backup enthält keine Daten.");
+  if (!Array.isArray(d.players) || d.players.some((p) => !p?.id || typeof p.name !== "string")) {
+    throw new Error("Spielerliste im Backup ist ungültig.");
+  }
+  if (d.completed !== undefined && !Array.isArray(d.completed)) {
+    throw new Error("Abgeschlossene Trainingstage im Backup sind ungültig.");
+  }
+  if (d.session !== undefined && d.session !== null && !Array.isArray(d.session.players)) {
+    throw new Error("Laufende Rangliste im Backup ist ungültig.");
+  }
+  if (d.ratingLog !== undefined && !Array.isArray(d.ratingLog)) {
+    throw new Error("TTR-Historie im Backup ist ungültig.");
+  }
+  if (d.attendance !== undefined && !Array.isArray(d.attendance)) {
+    throw new Error("Anwesenheit im Backup ist ungültig.");
+  }
+  if (d.seasons !== undefined && !Array.isArray(d.seasons)) {
+    throw new Error("Saisons im Backup sind ungültig.");
+  }
+
+  // einzelne kaputte Einträge werden aussortiert
+  return { exportedAt: file.exportedAt ?? null, version, data: migrate(normalize(d), version) };
+}
+
+function unionById(current, incoming) {
+  const ids = new Set(current.map((x) => x.id));
+  return [...current, ...incoming.filter((x) => !ids.has(x.id))];
+}
+
+// Zusammenführen: vorhandene Einträge bleiben, neue aus dem Backup kommen dazu.
+// Ein Spieler mit gleichem Namen, aber anderer ID (z.B. auf zwei Geräten
+// angelegt) ist derselbe: seine Daten aus dem Backup gehen auf den vorhandenen über.
+export function mergeData(current, incoming) {
+  const byName = new Map(current.players.map((p) => [p.name.trim().toLowerCase(), p.id]));
+  const ids = new Set(current.players.map((p) => p.id));
+  const idMap = new Map();
+  for (const p of incoming.players) {
+    const same = byName.get(p.name.trim().toLowerCase());
+    if (same && !ids.has(p.id)) idMap.set(p.id, same);
+  }
+  const nameById = new Map(current.players.map((p) => [p.id, p.name]));
+  const other = idMap.size ? remapPlayerIds(incoming, idMap, nameById) : incoming;
+
+  return {
+    players: unionById(current.players, other.players.filter((p) => !idMap.has(p.id))),
+    session: current.session ?? other.session,
+    completed: unionById(current.completed, other.completed),
+    ratingLog: unionById(current.ratingLog, other.ratingLog),
+    settings: current.settings,
+    club: current.club.name ? current.club : other.club,
+    seasons: unionById(current.seasons, other.seasons),
+    attendance: mergeAttendance(current.attendance, other.attendance),
+  };
+}
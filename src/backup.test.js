@@ -0,0 +1,134 @@
+import { describe, expect, it } from "vitest";
+import { createBackup, mergeData, migrate, parseBackup, SCHEMA_VERSION } from "./backup.js";
+import { DEFAULT_TTR } from "./rating.js";
+
+const DAY = {
+  id: "d1",
+  finishedAt: "2026-10-01T18:00:00.000Z",
+  players: [{ id: "a" }, { id: "b" }],
+  matches: [],
+};
+
+function file(data, schemaVersion = SCHEMA_VERSION) {
+  return JSON.stringify({ app: "vereinsapp", schemaVersion, data });
+}
+
+function empty(extra = {}) {
+  return {
+    players: [],
+    session: null,
+    completed: [],
+    ratingLog: [],
+    settings: {},
+    club: { name: "" },
+    seasons: [],
+    attendance: [],
+    ...extra,
+  };
+}
+
+describe("migrate", () => {
+  it("bringt Daten von vor der Versionierung auf den aktuellen Stand", () => {
+    const players = [
+      { id: "a", name: "A" },
+      { id: "b", name: "B", ttr: 1100, active: 1 },
+    ];
+    const data = migrate({ players, completed: [DAY] }, 0);
+
+    expect(data.players).toEqual([
+      { id: "a", name: "A", ttr: DEFAULT_TTR, active: false },
+      { id: "b", name: "B", ttr: 1100, active: true },
+    ]);
+    expect(data).toMatchObject({ session: null, ratingLog: [], settings: {}, club: { name: "" }, seasons: [] });
+    expect(data.attendance).toHaveLength(1);
+    expect(data.attendance[0]).toMatchObject({ date: "2026-10-01", dayIds: ["d1"] });
+    expect([...data.attendance[0].playerIds].sort()).toEqual(["a", "b"]);
+  });
+
+  it("behält vorhandene Vereinsangaben und Anwesenheit", () => {
+    const attendance = [{ id: "t1", date: "2026-09-01", playerIds: ["a"], dayIds: [], note: "" }];
+    const data = migrate({ club: { name: "TTC" }, completed: [DAY], attendance }, 1);
+    expect(data.club).toEqual({ name: "TTC" });
+    expect(data.attendance).toBe(attendance);
+  });
+
+  it("lässt aktuelle Daten unverändert", () => {
+    const data = empty();
+    expect(migrate(data, SCHEMA_VERSION)).toBe(data);
+  });
+});
+
+describe("parseBackup", () => {
+  it("liest ein eigenes Backup wieder ein", () => {
+    const data = empty({ players: [{ id: "a", name: "A", ttr: 1000, active: true }], club: { name: "TTC" } });
+    const { version, data: parsed } = parseBackup(JSON.stringify(createBackup(data)));
+    expect(version).toBe(SCHEMA_VERSION);
+    expect(parsed).toEqual(data);
+  });
+
+  it("migriert alte Backups", () => {
+    const { data } = parseBackup(file({ players: [{ id: "a", name: "A" }], completed: [DAY] }, 0));
+    expect(data.players[0].ttr).toBe(DEFAULT_TTR);
+    expect(data.attendance).toHaveLength(1);
+  });
+
+  it("weist fremde, neuere und kaputte Dateien ab", () => {
+    expect(() => parseBackup("{")).toThrow("kein gültiges JSON");
+    expect(() => parseBackup(JSON.stringify({ app: "andere", schemaVersion: 1, data: {} }))).toThrow(
+      "kein Vereinsapp-Backup"
+    );
+    expect(() => parseBackup(file(empty(), SCHEMA_VERSION + 1))).toThrow("Backup ist neuer");
+    expect(() => parseBackup(file(empty({ players: [{ name: "ohne ID" }] })))).toThrow("Spielerliste");
+    expect(() => parseBackup(file(empty({ ratingLog: {} })))).toThrow("TTR-Historie");
+    expect(() => parseBackup(file(empty({ seasons: "x" })))).toThrow("Saisons");
+  });
+
+  it("sortiert einzelne kaputte Einträge aus", () => {
+    const { data } = parseBackup(
+      file(
+        empty({
+          players: [{ id: "a", name: "A", ttr: "x" }],
+          completed: [DAY, null, { name: "ohne ID" }],
+          ratingLog: [{ id: "r1", playerId: "a", before: 1000, after: 1008 }, { id: "r2", playerId: "a" }],
+          attendance: [{ id: "t1", date: "2026-10-01", playerIds: ["a"] }, { id: "t2" }],
+        })
+      )
+    );
+    expect(data.players[0].ttr).toBe(DEFAULT_TTR);
+    expect(data.completed.map((d) => d.id)).toEqual(["d1"]);
+    expect(data.ratingLog.map((e) => e.id)).toEqual(["r1"]);
+    expect(data.attendance).toEqual([{ id: "t1", date: "2026-10-01", playerIds: ["a"], dayIds: [], note: "" }]);
+  });
+});
+
+describe("mergeData", () => {
+  it("führt gleichnamige Spieler zusammen und übernimmt ihre Daten", () => {
+    const current = empty({ players: [{ id: "a", name: "Anna", ttr: 1000 }], club: { name: "TTC" } });
+    const incoming = empty({
+      players: [
+        { id: "x", name: " anna ", ttr: 1010 },
+        { id: "b", name: "Bert", ttr: 990 },
+      ],
+      completed: [{ ...DAY, players: [{ id: "x", name: "anna" }, { id: "b", name: "Bert" }] }],
+      ratingLog: [{ id: "r1", playerId: "x", dayId: "d1", before: 1000, after: 1010 }],
+      attendance: [{ id: "t1", date: "2026-10-01", playerIds: ["x", "b"], dayIds: ["d1"], note: "" }],
+      club: { name: "Anderer Verein" },
+    });
+
+    const merged = mergeData(current, incoming);
+    expect(merged.players.map((p) => p.id)).toEqual(["a", "b"]);
+    expect(merged.completed[0].players.map((p) => p.id)).toEqual(["a", "b"]);
+    expect(merged.completed[0].players[0].name).toBe("Anna");
+    expect(merged.ratingLog[0].playerId).toBe("a");
+    expect(merged.attendance[0].playerIds).toEqual(["a", "b"]);
+    expect(merged.club.name).toBe("TTC");
+  });
+
+  it("behält vorhandene Einträge bei gleicher ID", () => {
+    const current = empty({ players: [{ id: "a", name: "Anna", ttr: 1000 }], completed: [DAY] });
+    const incoming = empty({ players: [{ id: "a", name: "Anna", ttr: 1200 }], completed: [{ ...DAY, matches: null }] });
+    const merged = mergeData(current, incoming);
+    expect(merged.players).toEqual(current.players);
+    expect(merged.completed).toEqual([DAY]);
+  });
+});
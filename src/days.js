@@ -0,0 +1,189 @@
+// Abgeschlossene Trainingstage: Tabelle berechnen und nachträglich korrigieren
+
+import { matchPlayerIds } from "./doubles.js";
+import { DEFAULT_ENGINE, batchDeltas, idleState, playerDelta } from "./rating.js";
+import { sessionRules } from "./rules.js";
+import { isArchived } from "./seasons.js";
+import { computeStandings } from "./standings.js";
+import { tournamentStandings } from "./tournament.js";
+
+// Tabelle einer laufenden Session oder eines Snapshots nach dessen Regeln
+export function sessionStandings(session, rules) {
+  if (rules.type === "tournament") return tournamentStandings(session, rules);
+  return computeStandings(session.players, session.matches, rules);
+}
+
+export function byFinishedAt(x, y) {
+  return String(x.finishedAt).localeCompare(String(y.finishedAt));
+}
+
+// Summe der gespeicherten TTR-Änderungen eines Tages je Spieler
+function storedTotals(day) {
+  const total = new Map();
+  for (const m of day.matches ?? []) {
+    if (m.byeId) continue;
+    for (const id of matchPlayerIds(m)) total.set(id, (total.get(id) ?? 0) + (playerDelta(m, id) ?? 0));
+  }
+  return total;
+}
+
+const DELTA_FIELDS = ["deltaA", "deltaB", "deltaA2", "deltaB2"];
+
+// Spieler im Snapshot: Start-TTR und was die Engines sonst brauchen
+export function snapshotPlayer(p) {
+  return {
+    id: p.id,
+    name: p.name,
+    ttr: p.ttr,
+    birthYear: p.birthYear,
+    games: p.games,
+    lastPlayed: p.lastPlayed,
+    rd: p.rd,
+    vol: p.vol,
+  };
+}
+
+// Rechnet einen Tag mit neuen Start-Werten und/oder Begegnungen durch
+function rerateDay(day, startPlayers, matches, engine) {
+  const { total, perMatch, state } = batchDeltas(startPlayers, matches, { engine, date: day.finishedAt });
+
+  const newMatches = matches.map((m) => {
+    const rest = { ...m };
+    for (const field of DELTA_FIELDS) delete rest[field];
+    const d = perMatch.get(m.id);
+    return d ? { ...rest, ...d } : rest;
+  });
+
+  const rules = sessionRules(day);
+  const next = { ...day, ratingEngine: engine, players: startPlayers, matches: newMatches };
+  next.standings = sessionStandings(next, rules).map((s) => ({ ...s }));
+  return { next, total, state };
+}
+
+// Ersetzt die Begegnungen eines Tages und spielt die TTR-Batches dieses und
+// aller späteren Tage in zeitlicher Reihenfolge neu durch. Jeder Tag startet
+// mit seinen alten Start-TTRs plus der bis dahin aufgelaufenen Verschiebung.
+// Archivierte Saisons bleiben unverändert, dort endet die Neuberechnung.
+// Wurde danach eine Saison mit TTR-Neustart abgeschlossen, endet sie dort
+// ebenfalls und die aktuellen Werte bleiben, wie sie sind.
+// Liefert die neuen Tage, die neue Historie und die Verschiebung je Spieler,
+// die noch auf players[].ttr addiert werden muss.
+export function replayCorrection(completed, ratingLog, dayId, matches, seasons = []) {
+  const order = [...completed].sort(byFinishedAt);
+  const start = order.findIndex((d) => d.id === dayId);
+  if (start < 0) return { completed, ratingLog, shift: new Map() };
+
+  const resetAt = seasons
+    .filter((s) => s.closed && s.ttr === "reset" && s.closedAt > order[start].finishedAt)
+    .map((s) => s.closedAt)
+    .sort()[0];
+  const shift = new Map();
+  const updated = new Map();
+  const log = ratingLog.map((e) => ({ ...e }));
+
+  for (let i = start; i < order.length; i++) {
+    const day = order[i];
+    if (i > start && (isArchived(seasons, day) || (resetAt && day.finishedAt > resetAt))) break;
+    const dayMatches = i === start ? matches : day.matches;
+
+    // alte Snapshots ohne Begegnungen lassen sich nicht neu rechnen:
+    // ihre Änderungen bleiben, nur die Verschiebung läuft durch
+    if (!dayMatches?.length || !day.players?.length) {
+      for (const e of log) {
+        if (e.dayId !== day.id) continue;
+        const s = shift.get(e.playerId) ?? 0;
+        e.before += s;
+        e.after += s;
+      }
+      continue;
+    }
+
+    const oldTotal = storedTotals(day);
+    const startPlayers = day.players.map((p) => ({ ...p, ttr: p.ttr + (shift.get(p.id) ?? 0) }));
+    const { next, total } = rerateDay(day, startPlayers, dayMatches, day.ratingEngine ?? DEFAULT_ENGINE);
+    updated.set(day.id, next);
+
+    const startTtr = new Map(startPlayers.map((p) => [p.id, p.ttr]));
+    for (const e of log) {
+      if (e.dayId !== day.id) continue;
+      const before = startTtr.get(e.playerId) ?? e.before + (shift.get(e.playerId) ?? 0);
+      e.before = before;
+      e.after = before + (total.get(e.playerId) ?? 0);
+    }
+
+    for (const p of startPlayers) {
+      const change = (total.get(p.id) ?? 0) - (oldTotal.get(p.id) ?? 0);
+      if (change) shift.set(p.id, (shift.get(p.id) ?? 0) + change);
+    }
+  }
+
+  return {
+    completed: completed.map((d) => updated.get(d.id) ?? d),
+    ratingLog: log,
+    shift: resetAt ? new Map() : shift,
+  };
+}
+
+// Alle Trainingstage mit einer anderen Engine neu durchrechnen (zum Vergleich
+// oder zum Umstellen). Jeder Spieler startet mit den Werten aus dem Snapshot
+// des ersten Tages, an dem er dabei war (TTR, Spielanzahl, letztes Spiel,
+// Glicko-Unsicherheit), also mit dem, was er aus archivierten Saisons
+// mitbringt. Tage ohne gespeicherte Begegnungen behalten ihre
+// Änderungen. Das Geburtsjahr kommt aus der Stammliste, weil es oft erst
+// später nachgetragen wird. engine = null rechnet jeden Tag mit seinem eigenen
+// Wertungssystem (z.B. nach dem Zusammenführen zweier Spieler). Liefert Tage,
+// Historie und Stammliste mit den neu berechneten Werten.
+export function recomputeHistory(completed, ratingLog, players, engine = null) {
+  const order = [...completed].sort(byFinishedAt);
+  const birthYear = new Map(players.map((p) => [p.id, p.birthYear]));
+  const state = new Map();
+  const updated = new Map();
+  const log = ratingLog.map((e) => ({ ...e }));
+
+  for (const day of order) {
+    const dayEngine = engine ?? day.ratingEngine ?? DEFAULT_ENGINE;
+    for (const p of day.players ?? []) {
+      if (!state.has(p.id)) {
+        state.set(p.id, { ttr: p.ttr, games: p.games ?? 0, lastPlayed: p.lastPlayed ?? null, rd: p.rd, vol: p.vol });
+      }
+    }
+    const entries = log.filter((e) => e.dayId === day.id);
+
+    if (!day.matches?.length || !day.players?.length) {
+      for (const e of entries) {
+        const current = state.get(e.playerId) ?? { ttr: e.before, games: 0 };
+        const change = e.after - e.before;
+        e.before = current.ttr;
+        e.after = current.ttr + change;
+        state.set(e.playerId, { ...current, ttr: e.after });
+      }
+      continue;
+    }
+
+    const startPlayers = day.players.map((p) =>
+      snapshotPlayer({ ...p, ...state.get(p.id), birthYear: birthYear.get(p.id) ?? p.birthYear })
+    );
+    const { next, total, state: after } = rerateDay(day, startPlayers, day.matches, dayEngine);
+    updated.set(day.id, next);
+
+    for (const e of entries) {
+      const before = state.get(e.playerId)?.ttr ?? e.before;
+      e.before = before;
+      e.after = before + (total.get(e.playerId) ?? 0);
+    }
+
+    const present = new Set(startPlayers.map((p) => p.id));
+    for (const p of startPlayers) {
+      state.set(p.id, { ...state.get(p.id), ttr: p.ttr + (total.get(p.id) ?? 0), ...after.get(p.id) });
+    }
+    for (const [id, s] of state) {
+      if (!present.has(id)) state.set(id, { ...s, ...idleState(dayEngine, s) });
+    }
+  }
+
+  return {
+    completed: completed.map((d) => updated.get(d.id) ?? d),
+    ratingLog: log,
+    players: players.map((p) => (state.has(p.id) ? { ...p, ...state.get(p.id) } : p)),
+  };
+}
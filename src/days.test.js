@@ -0,0 +1,130 @@
+import { describe, expect, it } from "vitest";
+import { recomputeHistory, replayCorrection } from "./days.js";
+import { batchDeltas } from "./rating.js";
+
+const RULES = { type: "ranking", rounds: 1, pairing: "random" };
+
+// Abgeschlossener Tag wie beim Abschließen gespeichert, samt TTR-Historie
+function makeDay(id, finishedAt, players, results, engine = "elo") {
+  const matches = results.map(([aId, bId, scoreA, scoreB], i) => ({ id: `${id}-m${i}`, round: 1, aId, bId, scoreA, scoreB }));
+  const { total, perMatch } = batchDeltas(players, matches, { engine, date: finishedAt });
+  const day = {
+    id,
+    finishedAt,
+    rules: RULES,
+    ratingEngine: engine,
+    players,
+    matches: matches.map((m) => ({ ...m, ...perMatch.get(m.id) })),
+    standings: [],
+  };
+  const log = players.map((p) => ({
+    id: `${id}-${p.id}`,
+    playerId: p.id,
+    dayId: id,
+    before: p.ttr,
+    after: p.ttr + total.get(p.id),
+  }));
+  const after = players.map((p) => ({ ...p, ttr: p.ttr + total.get(p.id), games: (p.games ?? 0) + 1 }));
+  return { day, log, after };
+}
+
+function twoDays() {
+  const start = [
+    { id: "a", name: "A", ttr: 1000, games: 40 },
+    { id: "b", name: "B", ttr: 1000, games: 40 },
+  ];
+  const first = makeDay("d1", "2026-10-01T18:00:00.000Z", start, [["a", "b", 3, 1]]);
+  const second = makeDay("d2", "2026-10-08T18:00:00.000Z", first.after, [["a", "b", 0, 3]]);
+  return { completed: [first.day, second.day], ratingLog: [...first.log, ...second.log], first, second };
+}
+
+describe("replayCorrection", () => {
+  it("rechnet den korrigierten Tag und alle späteren neu", () => {
+    const { completed, ratingLog } = twoDays();
+    const flipped = completed[0].matches.map((m) => ({ ...m, scoreA: 1, scoreB: 3 }));
+    const result = replayCorrection(completed, ratingLog, "d1", flipped);
+
+    const d1 = result.completed.find((d) => d.id === "d1");
+    const d2 = result.completed.find((d) => d.id === "d2");
+    expect(d1.matches[0]).toMatchObject({ scoreA: 1, scoreB: 3, deltaA: -8, deltaB: 8 });
+    expect(d2.players.map((p) => p.ttr)).toEqual([992, 1008]);
+
+    const entry = (dayId, playerId) => result.ratingLog.find((e) => e.dayId === dayId && e.playerId === playerId);
+    expect(entry("d1", "a")).toMatchObject({ before: 1000, after: 992 });
+    expect(entry("d2", "a").before).toBe(992);
+    expect(entry("d2", "a").after).toBe(992 + d2.matches[0].deltaA);
+
+    // Verschiebung = neuer minus alter Endstand
+    const oldA = ratingLog.find((e) => e.dayId === "d2" && e.playerId === "a").after;
+    expect(result.shift.get("a")).toBe(entry("d2", "a").after - oldA);
+    expect(result.shift.get("b")).toBe(-result.shift.get("a"));
+  });
+
+  it("lässt nichts liegen, wenn sich kein Ergebnis ändert", () => {
+    const { completed, ratingLog } = twoDays();
+    const result = replayCorrection(completed, ratingLog, "d1", completed[0].matches);
+    expect(result.shift.size).toBe(0);
+    expect(result.ratingLog).toEqual(ratingLog);
+  });
+
+  it("endet an einem Saisonwechsel mit TTR-Neustart", () => {
+    const { completed, ratingLog } = twoDays();
+    const seasons = [
+      {
+        id: "s1",
+        name: "Herbst",
+        start: "2026-09-01",
+        end: "2026-10-05",
+        closed: true,
+        closedAt: "2026-10-05T12:00:00.000Z",
+        ttr: "reset",
+      },
+    ];
+    const flipped = completed[0].matches.map((m) => ({ ...m, scoreA: 1, scoreB: 3 }));
+    const result = replayCorrection(completed, ratingLog, "d1", flipped, seasons);
+
+    expect(result.completed.find((d) => d.id === "d2")).toBe(completed[1]);
+    expect(result.shift.size).toBe(0);
+  });
+});
+
+describe("recomputeHistory", () => {
+  it("übernimmt Spielanzahl und letztes Spiel aus dem ersten Snapshot", () => {
+    const { completed, ratingLog } = twoDays();
+    const players = [
+      { id: "a", name: "A", ttr: 1000 },
+      { id: "b", name: "B", ttr: 1000 },
+    ];
+    const result = recomputeHistory(completed, ratingLog, players, "ttr");
+    // 40 Spiele aus früheren Saisons: kein Neulingszuschlag, Konstante 16
+    expect(result.completed[0].matches[0]).toMatchObject({ deltaA: 8, deltaB: -8 });
+    expect(result.players.find((p) => p.id === "a").games).toBe(42);
+  });
+
+  it("rechnet ohne engine jeden Tag mit seinem eigenen Wertungssystem", () => {
+    const newcomers = [
+      { id: "a", name: "A", ttr: 1000, games: 0 },
+      { id: "b", name: "B", ttr: 1000, games: 0 },
+    ];
+    const ttrDay = makeDay("d1", "2026-10-01T18:00:00.000Z", newcomers, [["a", "b", 3, 0]], "ttr");
+    const eloDay = makeDay("d2", "2026-10-08T18:00:00.000Z", ttrDay.after, [["a", "b", 3, 0]], "elo");
+    const completed = [ttrDay.day, eloDay.day];
+    const ratingLog = [...ttrDay.log, ...eloDay.log];
+
+    const own = recomputeHistory(completed, ratingLog, newcomers);
+    expect(own.completed.map((d) => d.ratingEngine)).toEqual(["ttr", "elo"]);
+    expect(own.completed[0].matches[0].deltaA).toBe(10);
+    expect(own.players.find((p) => p.id === "a").ttr).toBe(eloDay.after.find((p) => p.id === "a").ttr);
+
+    const elo = recomputeHistory(completed, ratingLog, newcomers, "elo");
+    expect(elo.completed.map((d) => d.ratingEngine)).toEqual(["elo", "elo"]);
+    expect(elo.completed[0].matches[0].deltaA).toBe(8);
+  });
+
+  it("schreibt die TTR-Historie fortlaufend neu", () => {
+    const { completed, ratingLog } = twoDays();
+    const result = recomputeHistory(completed, ratingLog, [], "elo");
+    const a = result.ratingLog.filter((e) => e.playerId === "a");
+    expect(a[1].before).toBe(a[0].after);
+  });
+});
@@ -0,0 +1,119 @@
+// Doppel: eine Begegnung hat zwei Spieler pro Seite. aId/bId bleiben der
+// jeweils erste Spieler, a2Id/b2Id sind die Partner. So laufen Einzel-Daten
+// unverändert weiter und jede Auswertung geht über sideIds().
+
+import { byeCandidates, pairKey, shuffle } from "./pairing.js";
+
+export const DOUBLES_MODES = [
+  { value: "rotating", label: "Wechselnde Partner" },
+  { value: "fixed", label: "Feste Paare" },
+];
+
+// Kosten bei der Auslosung: gleicher Partner wiegt schwerer als gleicher Gegner
+const PARTNER_REPEAT_COST = 10;
+const OPPONENT_REPEAT_COST = 1;
+
+export function isDoubles(m) {
+  return Boolean(m.a2Id || m.b2Id);
+}
+
+export function sideIds(m, side) {
+  return side === "a" ? [m.aId, m.a2Id].filter(Boolean) : [m.bId, m.b2Id].filter(Boolean);
+}
+
+export function matchPlayerIds(m) {
+  return m.byeId ? [m.byeId] : [...sideIds(m, "a"), ...sideIds(m, "b")];
+}
+
+export function sideName(m, side, nameById) {
+  return sideIds(m, side)
+    .map((id) => nameById.get(id) ?? "?")
+    .join(" / ");
+}
+
+// Was als Wiederholung zählt: im Einzel derselbe Gegner, im Doppel derselbe Partner
+export function repeatKeys(m) {
+  if (m.byeId) return [];
+  if (!isDoubles(m)) return [pairKey(m.aId, m.bId)];
+  return [sideIds(m, "a"), sideIds(m, "b")].filter((ids) => ids.length === 2).map(([x, y]) => pairKey(x, y));
+}
+
+// Bisherige Partner und Gegner als pairKey-Mengen
+export function doublesHistory(matches) {
+  const partners = new Set();
+  const opponents = new Set();
+  for (const m of matches ?? []) {
+    if (m.byeId) continue;
+    const a = sideIds(m, "a");
+    const b = sideIds(m, "b");
+    if (a.length === 2) partners.add(pairKey(a[0], a[1]));
+    if (b.length === 2) partners.add(pairKey(b[0], b[1]));
+    for (const x of a) for (const y of b) opponents.add(pairKey(x, y));
+  }
+  return { partners, opponents };
+}
+
+function teamCost([a, a2], [b, b2], { partners, opponents }) {
+  let cost = 0;
+  if (partners.has(pairKey(a, a2))) cost += PARTNER_REPEAT_COST;
+  if (partners.has(pairKey(b, b2))) cost += PARTNER_REPEAT_COST;
+  for (const x of [a, a2]) for (const y of [b, b2]) if (opponents.has(pairKey(x, y))) cost += OPPONENT_REPEAT_COST;
+  return cost;
+}
+
+// Wechselnde Partner: je vier Spieler bilden eine Begegnung, von den drei
+// möglichen Aufteilungen wird die mit den wenigsten Wiederholungen genommen.
+// Wer bei der Viererteilung übrig bleibt, hat Freilos (siehe byeCandidates).
+// Liefert [[a, a2], [b, b2]] je Begegnung und [id, null] je Freilos.
+export function generateDoublesPairs(rankedIds, history, byeCountById = new Map()) {
+  const byes = byeCandidates(rankedIds, byeCountById).slice(0, rankedIds.length % 4);
+  const ids = rankedIds.filter((id) => !byes.includes(id));
+
+  let best = null;
+  let bestCost = Infinity;
+
+  for (let attempt = 0; attempt < 200; attempt++) {
+    const s = shuffle(ids);
+    const games = [];
+    let cost = 0;
+
+    for (let i = 0; i < s.length; i += 4) {
+      const [p, q, r, t] = s.slice(i, i + 4);
+      const splits = [
+        [[p, q], [r, t]],
+        [[p, r], [q, t]],
+        [[p, t], [q, r]],
+      ];
+      let game = splits[0];
+      let gameCost = teamCost(...game, history);
+      for (const split of splits.slice(1)) {
+        const c = teamCost(...split, history);
+        if (c < gameCost) {
+          game = split;
+          gameCost = c;
+        }
+      }
+      games.push(game);
+      cost += gameCost;
+    }
+
+    if (cost < bestCost) {
+      bestCost = cost;
+      best = games;
+      if (cost === 0) break;
+    }
+  }
+
+  return [...(best ?? []), ...byes.map((id) => [id, null])];
+}
+
+// Feste Paare für den ganzen Spieltag: Stärkster mit Schwächstem usw.,
+// damit die Doppel etwa gleich stark sind. Braucht eine gerade Spielerzahl.
+export function fixedTeams(players) {
+  const seeded = [...players].sort(
+    (a, b) => (b.ttr ?? 0) - (a.ttr ?? 0) || a.name.localeCompare(b.name, "de")
+  );
+  const teams = [];
+  for (let i = 0, j = seeded.length - 1; i < j; i++, j--) teams.push([seeded[i].id, seeded[j].id]);
+  return teams;
+}
@@ -0,0 +1,254 @@
+// CSV-Export und Druckansicht für Tabellen und Paarungen
+
+import { monthLabel, percent } from "./attendance.js";
+import { sideName } from "./doubles.js";
+import { formatSets } from "./rules.js";
+import { localDate } from "./seasons.js";
+import { signed } from "./util.js";
+
+// so lange bleibt die Datei-URL gültig, sonst bricht mancher Browser den Download ab
+const REVOKE_DELAY_MS = 10000;
+
+function decimal(n) {
+  return (n ?? 0).toFixed(2).replace(".", ",");
+}
+
+// Semikolon + BOM, damit Excel (deutsch) Umlaute und Spalten richtig erkennt.
+// Text, der mit =, +, -, @, Tab oder Wagenrücklauf beginnt (z.B. ein Name),
+// bekommt ein ' davor, damit Excel ihn nicht als Formel ausführt; Zahlen wie
+// -3 oder +8 bleiben.
+export function toCSV(rows) {
+  const cell = (v) => {
+    let s = v === null || v === undefined ? "" : String(v);
+    if (/^[=+\-@\t\r]/.test(s) && !/^[+-]?\d+([.,]\d+)?$/.test(s)) s = `'${s}`;
+    return /[;"\n\t\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return "\uFEFF" + rows.map((r) => r.map(cell).join(";")).join("\r\n");
+}
+
+export function downloadFile(filename, content, type = "text/csv;charset=utf-8") {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+}
+
+// Datum für Dateinamen in Ortszeit (abends exportiert = heutiges Datum)
+export function fileDate(date = new Date()) {
+  return localDate(date);
+}
+
+function metaRows(meta) {
+  return [
+    [meta.club || "Vereinsapp"],
+    [meta.title],
+    [`Stand: ${new Date(meta.date).toLocaleString("de-DE")}`],
+    ...(meta.notes ?? []).map((n) => [n]),
+    [],
+  ];
+}
+
+export function standingsCSV(rows, meta) {
+  const balls = rows.some((s) => s.ballsWon || s.ballsLost);
+  const days = rows.some((s) => s.days !== undefined);
+  const perGame = rows.some((s) => s.perGame !== undefined);
+  const perDay = rows.some((s) => s.perDay !== undefined);
+  return toCSV([
+    ...metaRows(meta),
+    [
+      "Platz",
+      "Name",
+      "Punkte",
+      ...(perGame ? ["Punkte pro Spiel"] : []),
+      ...(perDay ? ["Punkte pro Tag"] : []),
+      "Spiele",
+      "Siege",
+      "Niederlagen",
+      "Sätze",
+      "Satzdifferenz",
+      ...(balls ? ["Bälle", "Balldifferenz"] : []),
+      ...(days ? ["Tage"] : []),
+    ],
+    ...rows.map((s, i) => [
+      i + 1,
+      s.name,
+      s.points,
+      ...(perGame ? [decimal(s.perGame)] : []),
+      ...(perDay ? [decimal(s.perDay)] : []),
+      s.played,
+      s.wins,
+      s.losses,
+      `${s.setsWon}:${s.setsLost}`,
+      signed(s.setsWon - s.setsLost),
+      ...(balls ? [`${s.ballsWon}:${s.ballsLost}`, signed(s.ballsWon - s.ballsLost)] : []),
+      ...(days ? [s.days] : []),
+    ]),
+  ]);
+}
+
+// Begegnungen nach Runden: [[runde, matches], ...]
+function byRound(matches) {
+  const rounds = new Map();
+  for (const m of matches) rounds.set(m.round, [...(rounds.get(m.round) ?? []), m]);
+  return [...rounds].sort(([x], [y]) => x - y);
+}
+
+// alle Runden, je Runde ein Block mit Leerzeile dazwischen
+export function pairingsCSV(matches, nameById, meta) {
+  const name = (id) => nameById.get(id) ?? "?";
+  return toCSV([
+    ...metaRows(meta),
+    ["Runde", "Spieler A", "Spieler B", "Ergebnis", "Sätze"],
+    ...byRound(matches).flatMap(([round, list], i) => [
+      ...(i > 0 ? [[]] : []),
+      ...list.map((m) =>
+        m.byeId
+          ? [round, name(m.byeId), m.unplayed ? "fällt aus" : "Freilos", "", ""]
+          : [
+              round,
+              sideName(m, "a", nameById),
+              sideName(m, "b", nameById),
+              m.scoreA === null || m.scoreB === null ? "" : `${m.scoreA}:${m.scoreB}`,
+              formatSets(m.sets),
+            ]
+      ),
+    ]),
+  ]);
+}
+
+// Anwesenheit je Spieler und Monat, darunter das Trainingsbuch
+export function attendanceCSV(report, meta) {
+  const { trainings, months, rows } = report;
+  return toCSV([
+    ...metaRows(meta),
+    ["Name", ...months.map((m) => `${monthLabel(m.key)} (${m.total})`), "Anwesend", "Trainingstage", "Quote %"],
+    ...rows.map((r) => [r.name, ...months.map((m) => r.byMonth[m.key] ?? 0), r.present, r.total, percent(r.present, r.total)]),
+    [],
+    ["Datum", "Anwesend", "Inhalt"],
+    ...trainings.map((e) => [new Date(`${e.date}T00:00:00`).toLocaleDateString("de-DE"), e.playerIds.length, e.note]),
+  ]);
+}
+
+function esc(v) {
+  return String(v ?? "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+}
+
+// Tabelle als HTML: head = Spaltenköpfe, body = Zeilen (Arrays)
+export function htmlTable(head, body) {
+  return (
+    `<table><thead><tr>${head.map((h) => `<th>${esc(h)}</th>`).join("")}</tr></thead>` +
+    `<tbody>${body.map((r) => `<tr>${r.map((c) => `<td>${esc(c)}</td>`).join("")}</tr>`).join("")}</tbody></table>`
+  );
+}
+
+export function standingsHTML(rows) {
+  const balls = rows.some((s) => s.ballsWon || s.ballsLost);
+  const days = rows.some((s) => s.days !== undefined);
+  const perGame = rows.some((s) => s.perGame !== undefined);
+  const perDay = rows.some((s) => s.perDay !== undefined);
+  return htmlTable(
+    [
+      "#",
+      "Name",
+      "Pkt",
+      ...(perGame ? ["Pkt/Sp"] : []),
+      ...(perDay ? ["Pkt/Tag"] : []),
+      "Sp",
+      "S/N",
+      "Sätze",
+      ...(balls ? ["Bälle"] : []),
+      ...(days ? ["Tage"] : []),
+    ],
+    rows.map((s, i) => [
+      i + 1,
+      s.name,
+      s.points,
+      ...(perGame ? [decimal(s.perGame)] : []),
+      ...(perDay ? [decimal(s.perDay)] : []),
+      s.played,
+      `${s.wins}/${s.losses}`,
+      `${s.setsWon}:${s.setsLost} (${signed(s.setsWon - s.setsLost)})`,
+      ...(balls ? [`${s.ballsWon}:${s.ballsLost} (${signed(s.ballsWon - s.ballsLost)})`] : []),
+      ...(days ? [s.days] : []),
+    ])
+  );
+}
+
+// alle Runden, je Runde eine Überschrift und eine Tabelle
+export function pairingsHTML(matches, nameById) {
+  const name = (id) => nameById.get(id) ?? "?";
+  return byRound(matches)
+    .map(
+      ([round, list]) =>
+        `<h3>Runde ${esc(round)}</h3>` +
+        htmlTable(
+          ["Spieler A", "", "Spieler B", "Ergebnis"],
+          list.map((m) =>
+            m.byeId
+              ? [name(m.byeId), "", m.unplayed ? "fällt aus" : "Freilos", ""]
+              : [
+                  sideName(m, "a", nameById),
+                  "vs",
+                  sideName(m, "b", nameById),
+                  m.scoreA === null || m.scoreB === null ? "" : `${m.scoreA}:${m.scoreB}`,
+                ]
+          )
+        )
+    )
+    .join("");
+}
+
+export function attendanceHTML(report) {
+  const { months, rows } = report;
+  return htmlTable(
+    ["Name", ...months.map((m) => monthLabel(m.key)), "Anwesend", "Quote"],
+    rows.map((r) => [
+      r.name,
+      ...months.map((m) => `${r.byMonth[m.key] ?? 0}/${m.total}`),
+      `${r.present}/${r.total}`,
+      `${percent(r.present, r.total)} %`,
+    ])
+  );
+}
+
+// Öffnet eine eigene Druckseite (Aushang in der Halle, Elternmail als PDF)
+export function printPage(meta, bodyHtml) {
+  const w = window.open("", "_blank");
+  if (!w) {
+    alert("Druckansicht wurde vom Browser blockiert (Pop-ups erlauben).");
+    return;
+  }
+  w.document.write(`<!doctype html>
+<html lang="de">
+<head>
+<meta charset="utf-8" />
+<title>${esc(meta.title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 24px; color: #111; }
+  h1 { font-size: 20px; margin: 0; }
+  h2 { font-size: 16px; margin: 4px 0 12px; font-weight: 600; }
+  h3 { font-size: 14px; margin: 16px 0 6px; }
+  .meta { color: #555; font-size: 12px; margin-bottom: 12px; }
+  table { border-collapse: collapse; width: 100%; font-size: 14px; }
+  th, td { border: 1px solid #ccc; padding: 6px 8px; text-align: left; }
+  th { background: #f2f2f2; }
+  .notes { margin-top: 12px; color: #555; font-size: 12px; }
+  @page { margin: 15mm; }
+  @media print { body { margin: 0; } th { -webkit-print-color-adjust: exact; print-color-adjust: exact; } }
+</style>
+</head>
+<body>
+<h1>${esc(meta.club || "Vereinsapp")}</h1>
+<h2>${esc(meta.title)}</h2>
+<div class="meta">Stand: ${esc(new Date(meta.date).toLocaleString("de-DE"))}</div>
+${bodyHtml}
+${(meta.notes ?? []).map((n) => `<div class="notes">${esc(n)}</div>`).join("")}
+</body>
+</html>`);
+  w.document.close();
+  w.focus();
+  w.print();
+}
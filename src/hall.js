@@ -0,0 +1,72 @@
+// Tischplan der Halle: jedes Spiel der aktuellen Runde bekommt einen Tisch,
+// überzählige Spiele warten und rücken nach, sobald ein Tisch frei wird.
+
+export function hasResult(m) {
+  return m.scoreA !== null && m.scoreA !== undefined && m.scoreB !== null && m.scoreB !== undefined;
+}
+
+// Ergebnis eintragen (result = { a, b, sets }) oder löschen (null). Mit
+// Ergebnis ist der Tisch frei und bleibt nur zur Anzeige stehen; ohne muss
+// sich das Spiel neu anstellen. resultAt = letzte Änderung des Ergebnisses
+// (für die Hallenanzeige), nachgetragene Sätze zählen nicht als Änderung.
+export function withResult(m, result) {
+  if (!result) return { ...m, scoreA: null, scoreB: null, sets: null, table: null, resultAt: null };
+  const changed = !hasResult(m) || m.scoreA !== result.a || m.scoreB !== result.b;
+  return {
+    ...m,
+    scoreA: result.a,
+    scoreB: result.b,
+    sets: result.sets ?? null,
+    table: m.table ?? null,
+    resultAt: changed ? Date.now() : (m.resultAt ?? Date.now()),
+  };
+}
+
+// Verteilt die Spiele einer Runde auf tableCount Tische. Fertige Spiele
+// behalten ihren Tisch (zur Anzeige), belegen ihn aber nicht mehr. Wartende
+// rücken in Auslosungsreihenfolge auf den kleinsten freien Tisch nach.
+// tableCount 0 = keine Tischverteilung.
+export function assignTables(matches, round, tableCount) {
+  if (!tableCount) return matches;
+
+  const occupied = new Set();
+  const keep = new Set();
+  for (const m of matches) {
+    if (m.round !== round || m.byeId || hasResult(m)) continue;
+    // Tisch doppelt belegt (z.B. Ergebnis wieder gelöscht) oder nicht mehr
+    // vorhanden: das Spiel muss sich neu anstellen
+    if (m.table && m.table <= tableCount && !occupied.has(m.table)) {
+      occupied.add(m.table);
+      keep.add(m.id);
+    }
+  }
+
+  const free = [];
+  for (let t = 1; t <= tableCount; t++) if (!occupied.has(t)) free.push(t);
+
+  return matches.map((m) => {
+    if (m.round !== round || m.byeId || hasResult(m)) return m;
+    if (keep.has(m.id)) return m;
+    const table = free.shift() ?? null;
+    return m.table === table ? m : { ...m, table };
+  });
+}
+
+// Session nach jeder Änderung der aktuellen Runde neu verteilen
+export function withTables(session, tableCount) {
+  if (!session || !tableCount) return session;
+  return { ...session, matches: assignTables(session.matches ?? [], session.currentRound, tableCount) };
+}
+
+// Anzeige für die Halle: wer spielt wo, wer wartet in welcher Reihenfolge
+export function hallBoard(roundMatches) {
+  const playing = [];
+  const waiting = [];
+  for (const m of roundMatches) {
+    if (m.byeId || hasResult(m)) continue;
+    if (m.table) playing.push(m);
+    else waiting.push(m);
+  }
+  playing.sort((x, y) => x.table - y.table);
+  return { playing, waiting };
+}
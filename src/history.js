@@ -0,0 +1,97 @@
+// Rückgängig/Wiederholen über ein Ereignisprotokoll.
+// Jede Aktion wird als Ereignis mit dem Datenstand davor abgelegt
+// (Spieler, Session, Trainingstage, TTR-Historie, Anwesenheit, Saisons).
+// Rückgängig stellt diesen Stand wieder her und merkt sich den Stand danach
+// fürs Wiederholen. Die Stände teilen sich unveränderte Teile, deshalb ist
+// das im Speicher günstig. Gespeichert wird der Verlauf samt Ständen (siehe
+// packHistory), damit Rückgängig auch ein Neuladen übersteht.
+
+export const UNDO_LIMIT = 50;
+export const ACTIVITY_LIMIT = 500;
+
+// Gleichartige Änderungen kurz hintereinander (Tippen im Profil, Sätze
+// eintragen, Häkchen setzen) sind ein Ereignis
+const COALESCE_MS = 10000;
+
+export function emptyHistory() {
+  return { past: [], future: [] };
+}
+
+// event = { id, at, by, text, sessionId, key?, before }
+export function pushEvent(history, event) {
+  const last = history.past[history.past.length - 1];
+  if (event.key && last?.key === event.key && Date.parse(event.at) - Date.parse(last.at) < COALESCE_MS) {
+    return { past: [...history.past.slice(0, -1), { ...event, id: last.id, before: last.before }], future: [] };
+  }
+  return { past: [...history.past, event].slice(-UNDO_LIMIT), future: [] };
+}
+
+// Liefert { event, data, history } oder null; data = wiederherzustellender Stand
+export function undoStep(history, current) {
+  const event = history.past[history.past.length - 1];
+  if (!event) return null;
+  return {
+    event,
+    data: event.before,
+    history: { past: history.past.slice(0, -1), future: [...history.future, { ...event, after: current }] },
+  };
+}
+
+export function redoStep(history, current) {
+  const event = history.future[history.future.length - 1];
+  if (!event) return null;
+  const { after, ...rest } = event;
+  return {
+    event,
+    data: after,
+    history: { past: [...history.past, { ...rest, before: current }], future: history.future.slice(0, -1) },
+  };
+}
+
+// Alle gemerkten Stände umschreiben, z.B. wenn ein anderes Gerät etwas
+// geändert hat: Rückgängig soll dessen Eingaben nicht mit zurücknehmen
+export function mapStates(history, fn) {
+  return {
+    past: history.past.map((e) => ({ ...e, before: fn(e.before) })),
+    future: history.future.map((e) => ({ ...e, after: fn(e.after) })),
+  };
+}
+
+// Zum Speichern: Teile, die sich Stände teilen (gleiche Referenz), nur einmal
+// ablegen. schema = Datenversion; passt sie beim Laden nicht, beginnt der
+// Verlauf leer, statt alte Stände wiederherzustellen.
+export function packHistory(history, schema) {
+  const parts = [];
+  const index = new Map();
+  const ref = (value) => {
+    if (!index.has(value)) {
+      index.set(value, parts.length);
+      parts.push(value);
+    }
+    return index.get(value);
+  };
+  const pack = (state) => Object.fromEntries(Object.entries(state).map(([k, v]) => [k, ref(v)]));
+  return {
+    schema,
+    past: history.past.map(({ before, ...e }) => ({ ...e, before: pack(before) })),
+    future: history.future.map(({ after, ...e }) => ({ ...e, after: pack(after) })),
+    parts,
+  };
+}
+
+export function unpackHistory(packed, schema) {
+  if (!packed?.parts || packed.schema !== schema) return emptyHistory();
+  const unpack = (state) => Object.fromEntries(Object.entries(state).map(([k, i]) => [k, packed.parts[i]]));
+  return {
+    past: packed.past.map(({ before, ...e }) => ({ ...e, before: unpack(before) })),
+    future: packed.future.map(({ after, ...e }) => ({ ...e, after: unpack(after) })),
+  };
+}
+
+// Verlauf: entry = { id, at, by, text, sessionId }. Ein zusammengefasstes
+// Ereignis behält seine id und ersetzt seinen letzten Eintrag.
+export function logActivity(activity, entry) {
+  const last = activity[activity.length - 1];
+  const list = last?.id === entry.id ? activity.slice(0, -1) : activity;
+  return [...list, entry].slice(-ACTIVITY_LIMIT);
+}
@@ -0,0 +1,85 @@
+// Hallenanzeige: das Trainergerät schickt nach jeder Änderung einen fertigen
+// Anzeigestand über einen BroadcastChannel an die Anzeige im anderen Tab
+// (Beamer/Fernseher am selben Rechner). Die Anzeige rechnet nichts selbst.
+// Nachrichten: { type: "hello" } von der Anzeige, { type: "state", state } vom Trainer.
+
+import { sideName } from "./doubles.js";
+import { hallBoard, hasResult } from "./hall.js";
+import { koRoundName } from "./tournament.js";
+
+const CHANNEL = "vereinsapp-live";
+const RECENT_LIMIT = 8;
+
+export const DISPLAY_PARAM = "anzeige";
+
+// liefert { post, close } oder null, wenn der Browser keinen BroadcastChannel kennt
+export function openLiveChannel(onMessage) {
+  if (typeof BroadcastChannel === "undefined") return null;
+  const channel = new BroadcastChannel(CHANNEL);
+  channel.onmessage = (e) => onMessage(e.data);
+  return {
+    post: (message) => channel.postMessage(message),
+    close: () => channel.close(),
+  };
+}
+
+export function displayUrl() {
+  return `${window.location.pathname}?${DISPLAY_PARAM}`;
+}
+
+function score(m) {
+  return hasResult(m) ? `${m.scoreA}:${m.scoreB}` : null;
+}
+
+function label(session, m) {
+  if (m.stage === "ko") return koRoundName(m.koRound, session.koRounds);
+  if (m.group) return session.groups?.find((g) => g.id === m.group)?.name ?? null;
+  return null;
+}
+
+// Anzeigestand einer Session; session null = gerade keine Rangliste
+export function liveState({ session, rules, standings, roundMatches, nameById, clubName }) {
+  if (!session) return { clubName, session: null };
+
+  const queue = new Map(hallBoard(roundMatches).waiting.map((m, i) => [m.id, i + 1]));
+  const pairings = roundMatches
+    .filter((m) => !m.byeId)
+    .map((m) => ({
+      id: m.id,
+      a: sideName(m, "a", nameById),
+      b: sideName(m, "b", nameById),
+      label: label(session, m),
+      table: rules.tables && !hasResult(m) ? (m.table ?? null) : null,
+      queue: rules.tables && !hasResult(m) ? (queue.get(m.id) ?? null) : null,
+      score: score(m),
+    }));
+
+  // zuletzt eingetragene Ergebnisse; ältere Spiele ohne Zeitstempel nach Runde
+  const recent = (session.matches ?? [])
+    .filter((m) => !m.byeId && hasResult(m))
+    .sort((x, y) => (y.resultAt ?? 0) - (x.resultAt ?? 0) || y.round - x.round)
+    .slice(0, RECENT_LIMIT)
+    .map((m) => ({ id: m.id, a: sideName(m, "a", nameById), b: sideName(m, "b", nameById), score: score(m) }));
+
+  return {
+    clubName,
+    session: {
+      round: session.currentRound ?? 0,
+      rounds: rules.rounds,
+      finished: Boolean(session.finished),
+      byes: roundMatches.filter((m) => m.byeId && !m.unplayed).map((m) => nameById.get(m.byeId) ?? "?"),
+      pairings,
+      standings: standings.map((s) => ({
+        id: s.id,
+        name: s.name,
+        points: s.points,
+        wins: s.wins,
+        losses: s.losses,
+        setsWon: s.setsWon,
+        setsLost: s.setsLost,
+        withdrawn: Boolean(s.withdrawn),
+      })),
+      recent,
+    },
+  };
+}
@@ -2,9 +2,24 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import LiveDisplay from './LiveDisplay.jsx'
+import { DISPLAY_PARAM } from './live.js'
+import { initStorage } from './storage.js'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+// Offline-Betrieb: Service Worker nur im Build, im Dev-Server stört er das Neuladen
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch(() => {})
+  })
+}
+
+// ?anzeige öffnet die Hallenanzeige für Beamer/Fernseher statt der Eingabe
+const display = new URLSearchParams(window.location.search).has(DISPLAY_PARAM)
+
+initStorage().then(() => {
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      {display ? <LiveDisplay /> : <App />}
+    </StrictMode>,
+  )
+})
@@ -0,0 +1,88 @@
+// Gesamtrangliste über alle abgeschlossenen Trainingstage in verschiedenen
+// Wertungen: Summe, Schnitt pro Tag, beste N Tage; optional nur wer oft genug da war
+
+export const OVERALL_MODES = [
+  { value: "total", label: "Summe aller Punkte" },
+  { value: "average", label: "Punkte pro Trainingstag" },
+  { value: "best", label: "Beste Trainingstage" },
+];
+
+export const DEFAULT_OVERALL = { mode: "total", bestDays: 5, minDays: 0 };
+
+export function overallSettings(raw) {
+  const int = (v, fallback, min) => {
+    const n = Math.round(Number(v));
+    return Number.isFinite(n) ? Math.max(min, n) : fallback;
+  };
+  return {
+    mode: OVERALL_MODES.some((m) => m.value === raw?.mode) ? raw.mode : DEFAULT_OVERALL.mode,
+    bestDays: int(raw?.bestDays, DEFAULT_OVERALL.bestDays, 1),
+    minDays: int(raw?.minDays, DEFAULT_OVERALL.minDays, 0),
+  };
+}
+
+// Kurztext für Tabellenkopf und Exporte
+export function overallLabel(settings) {
+  const mode =
+    settings.mode === "best"
+      ? settings.bestDays === 1
+        ? "Bester Trainingstag"
+        : `Beste ${settings.bestDays} Trainingstage`
+      : OVERALL_MODES.find((m) => m.value === settings.mode).label;
+  return settings.minDays > 0 ? `${mode}, mind. ${settings.minDays} Trainingstage dabei` : mode;
+}
+
+function dayOrder(x, y) {
+  if (y.points !== x.points) return y.points - x.points;
+  return y.setsWon - y.setsLost - (x.setsWon - x.setsLost);
+}
+
+export function computeOverall(completed, settings) {
+  const byPlayer = new Map();
+  for (const day of completed) {
+    for (const s of day.standings ?? []) {
+      const key = s.id ?? `name:${String(s.name).toLowerCase()}`;
+      if (!byPlayer.has(key)) byPlayer.set(key, []);
+      byPlayer.get(key).push(s);
+    }
+  }
+
+  const arr = [];
+  for (const days of byPlayer.values()) {
+    if (days.length < settings.minDays) continue;
+    const counted = settings.mode === "best" ? [...days].sort(dayOrder).slice(0, settings.bestDays) : days;
+
+    const row = {
+      id: days[0].id ?? null,
+      name: days[0].name ?? "—",
+      points: 0,
+      wins: 0,
+      losses: 0,
+      played: 0,
+      setsWon: 0,
+      setsLost: 0,
+      days: days.length,
+    };
+    for (const s of counted) {
+      row.points += s.points ?? 0;
+      row.wins += s.wins ?? 0;
+      row.losses += s.losses ?? 0;
+      row.played += s.played ?? 0;
+      row.setsWon += s.setsWon ?? 0;
+      row.setsLost += s.setsLost ?? 0;
+    }
+    if (settings.mode === "average") row.perDay = row.points / days.length;
+    arr.push(row);
+  }
+
+  arr.sort((x, y) => {
+    const sdX = x.setsWon - x.setsLost;
+    const sdY = y.setsWon - y.setsLost;
+    if (settings.mode === "average" && y.perDay !== x.perDay) return y.perDay - x.perDay;
+    if (y.points !== x.points) return y.points - x.points;
+    if (sdY !== sdX) return sdY - sdX;
+    if (y.wins !== x.wins) return y.wins - x.wins;
+    return x.name.localeCompare(y.name, "de");
+  });
+  return arr;
+}
@@ -0,0 +1,166 @@
+// Auslosung der Runden: Zufall (mit Wiederholungsvermeidung) und Schweizer System
+
+export const PAIRING_MODES = [
+  { value: "random", label: "Zufall" },
+  { value: "swiss", label: "Schweizer System" },
+];
+
+// Obergrenze für die Suche, damit auch große Felder sofort ausgelost sind
+const SWISS_MAX_STEPS = 20000;
+
+export function shuffle(arr) {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+export function pairKey(aId, bId) {
+  return aId < bId ? `${aId}__${bId}` : `${bId}__${aId}`;
+}
+
+// Reihenfolge für das Freilos: wenigste bisherige Freilose zuerst, bei
+// Gleichstand der in der Tabelle weiter hinten Stehende. So bekommt niemand
+// ein zweites Freilos, solange andere noch keins hatten.
+export function byeCandidates(rankedIds, byeCountById = new Map()) {
+  const fromBottom = [...rankedIds].reverse();
+  fromBottom.sort((x, y) => (byeCountById.get(x) ?? 0) - (byeCountById.get(y) ?? 0));
+  return fromBottom;
+}
+
+// Zufallsauslosung. rankedIds = aktuelle Tabellenreihenfolge (nur für das Freilos).
+export function generateRoundPairs(rankedIds, playedPairsSet, byeCountById = new Map()) {
+  let ids = [...rankedIds];
+  let byeId = null;
+  if (ids.length % 2 === 1) {
+    byeId = byeCandidates(ids, byeCountById)[0];
+    ids = ids.filter((id) => id !== byeId);
+  }
+
+  let best = null;
+  let bestRepeats = Infinity;
+
+  for (let attempt = 0; attempt < 200; attempt++) {
+    const s = shuffle(ids);
+    const pairs = [];
+    let repeats = 0;
+
+    for (let i = 0; i < s.length; i += 2) {
+      const a = s[i];
+      const b = s[i + 1];
+
+      const k = pairKey(a, b);
+      if (playedPairsSet.has(k)) repeats++;
+      pairs.push([a, b]);
+    }
+
+    if (repeats < bestRepeats) {
+      bestRepeats = repeats;
+      best = pairs;
+      if (repeats === 0) break;
+    }
+  }
+
+  const pairs = best ?? [];
+  return byeId === null ? pairs : [...pairs, [byeId, null]];
+}
+
+// Setzliste fürs Schweizer System: Punkte absteigend, innerhalb einer
+// Punktgruppe nach TTR (Start des Spieltags), dann Name.
+// So ist Runde 1 (alle 0 Punkte) eine reine TTR-Setzliste.
+export function swissOrder(standings, ttrById) {
+  const arr = [...standings];
+  arr.sort((x, y) => {
+    if (y.points !== x.points) return y.points - x.points;
+    const tX = ttrById.get(x.id) ?? 0;
+    const tY = ttrById.get(y.id) ?? 0;
+    if (tY !== tX) return tY - tX;
+    return x.name.localeCompare(y.name, "de");
+  });
+  return arr.map((s) => s.id);
+}
+
+// Paart die Setzliste von oben nach unten: Platz 1 gegen den nächsten
+// freien Platz, gegen den er noch nicht gespielt hat. Geht es weiter unten
+// nicht auf, wird zurückgegangen und der vorherige Spieler bekommt den
+// nächstbesten Gegner. Wer in seiner Punktgruppe keinen Gegner findet,
+// "rutscht" so automatisch in die nächste Gruppe (Floater).
+function pairTopDown(ids, playedPairsSet, allowRepeats) {
+  let steps = 0;
+
+  function solve(rest) {
+    if (rest.length === 0) return [];
+    if (++steps > SWISS_MAX_STEPS) return null;
+
+    const [a, ...others] = rest;
+    for (let i = 0; i < others.length; i++) {
+      const b = others[i];
+      if (!allowRepeats && playedPairsSet.has(pairKey(a, b))) continue;
+
+      const tail = solve(others.filter((_, j) => j !== i));
+      if (tail) return [[a, b], ...tail];
+    }
+    return null;
+  }
+
+  return solve(ids);
+}
+
+// Schweizer System. rankedIds = Setzliste (siehe swissOrder).
+// Freilos siehe byeCandidates: in Frage kommen nur die Spieler mit den
+// wenigsten Freilosen. Geht die Auslosung mit keinem von ihnen ohne
+// Wiederholung auf, gibt es lieber eine Wiederholung als ein zweites Freilos.
+export function generateSwissPairs(rankedIds, playedPairsSet, byeCountById = new Map()) {
+  const ids = [...rankedIds];
+
+  // Kandidaten nach Anzahl bisheriger Freilose gestuft
+  const tiers = [];
+  if (ids.length % 2 === 1) {
+    for (const id of byeCandidates(ids, byeCountById)) {
+      const count = byeCountById.get(id) ?? 0;
+      const last = tiers[tiers.length - 1];
+      if (last && last.count === count) last.ids.push(id);
+      else tiers.push({ count, ids: [id] });
+    }
+  } else {
+    tiers.push({ count: 0, ids: [null] });
+  }
+
+  for (const tier of tiers) {
+    for (const allowRepeats of [false, true]) {
+      for (const byeId of tier.ids) {
+        const rest = byeId === null ? ids : ids.filter((id) => id !== byeId);
+        const pairs = pairTopDown(rest, playedPairsSet, allowRepeats);
+        if (pairs) return byeId === null ? pairs : [...pairs, [byeId, null]];
+      }
+    }
+  }
+
+  return [];
+}
+
+// Jeder gegen Jeden nach Berger-Tabellen (Kreismethode).
+// seededIds in Setzreihenfolge; bei ungerader Anzahl kommt ein Freilos (null)
+// auf den festen Platz, dadurch hat jeder genau einmal spielfrei.
+export function bergerSchedule(seededIds) {
+  const ids = [...seededIds];
+  if (ids.length % 2 === 1) ids.push(null);
+  const n = ids.length;
+  if (n < 2) return [];
+
+  const fixed = ids[n - 1];
+  const rotating = ids.slice(0, n - 1);
+  const rounds = [];
+
+  for (let r = 0; r < n - 1; r++) {
+    const rot = rotating.map((_, i) => rotating[(i + r * (n / 2)) % (n - 1)]);
+    // fester Platz wechselt jede Runde die Seite (Heim/Gast wie in der Berger-Tabelle)
+    const pairs = [r % 2 === 0 ? [rot[0], fixed] : [fixed, rot[0]]];
+    for (let i = 1; i < n / 2; i++) pairs.push([rot[i], rot[n - 1 - i]]);
+    rounds.push(pairs);
+  }
+
+  return rounds;
+}
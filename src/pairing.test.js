@@ -0,0 +1,89 @@
+import { describe, expect, it } from "vitest";
+import { bergerSchedule, byeCandidates, generateRoundPairs, generateSwissPairs, pairKey } from "./pairing.js";
+
+const played = (...pairs) => new Set(pairs.map(([a, b]) => pairKey(a, b)));
+
+describe("generateSwissPairs", () => {
+  it("paart die Setzliste von oben nach unten", () => {
+    expect(generateSwissPairs(["a", "b", "c", "d"], new Set())).toEqual([
+      ["a", "b"],
+      ["c", "d"],
+    ]);
+  });
+
+  it("weicht Wiederholungen aus", () => {
+    expect(generateSwissPairs(["a", "b", "c", "d"], played(["a", "b"]))).toEqual([
+      ["a", "c"],
+      ["b", "d"],
+    ]);
+  });
+
+  it("geht zurück, wenn es weiter unten nicht aufgeht", () => {
+    // a–c würde b und d übrig lassen, die schon gespielt haben
+    expect(generateSwissPairs(["a", "b", "c", "d"], played(["a", "b"], ["b", "d"]))).toEqual([
+      ["a", "d"],
+      ["b", "c"],
+    ]);
+  });
+
+  it("gibt das Freilos dem Letzten ohne Freilos", () => {
+    expect(generateSwissPairs(["a", "b", "c"], new Set())).toEqual([
+      ["a", "b"],
+      ["c", null],
+    ]);
+    expect(generateSwissPairs(["a", "b", "c"], new Set(), new Map([["c", 1]]))).toEqual([
+      ["a", "c"],
+      ["b", null],
+    ]);
+  });
+
+  it("wiederholt lieber eine Paarung, als ein zweites Freilos zu vergeben", () => {
+    const pairs = generateSwissPairs(["a", "b", "c"], played(["a", "b"]), new Map([["a", 1], ["b", 1]]));
+    expect(pairs).toEqual([
+      ["a", "b"],
+      ["c", null],
+    ]);
+  });
+
+  it("lässt Wiederholungen zu, wenn es ohne nicht geht", () => {
+    expect(generateSwissPairs(["a", "b"], played(["a", "b"]))).toEqual([["a", "b"]]);
+  });
+});
+
+describe("byeCandidates", () => {
+  it("sortiert nach Freilosen, bei Gleichstand von hinten", () => {
+    expect(byeCandidates(["a", "b", "c"], new Map([["c", 2], ["b", 1]]))).toEqual(["a", "b", "c"]);
+    expect(byeCandidates(["a", "b", "c"])).toEqual(["c", "b", "a"]);
+  });
+});
+
+describe("generateRoundPairs", () => {
+  it("findet eine Auslosung ohne Wiederholung, wenn es eine gibt", () => {
+    const history = played(["a", "b"], ["c", "d"], ["a", "c"]);
+    const pairs = generateRoundPairs(["a", "b", "c", "d"], history);
+    expect(pairs.map(([x, y]) => pairKey(x, y)).sort()).toEqual([pairKey("a", "d"), pairKey("b", "c")].sort());
+  });
+
+  it("nimmt jeden genau einmal, das Freilos bekommt der Letzte", () => {
+    const pairs = generateRoundPairs(["a", "b", "c", "d", "e"], new Set());
+    expect(pairs.flat().filter(Boolean).sort()).toEqual(["a", "b", "c", "d", "e"]);
+    expect(pairs.filter(([, b]) => b === null)).toEqual([["e", null]]);
+  });
+});
+
+describe("bergerSchedule", () => {
+  it("jeder spielt genau einmal gegen jeden", () => {
+    const rounds = bergerSchedule(["a", "b", "c", "d"]);
+    expect(rounds).toHaveLength(3);
+    const keys = rounds.flat().map(([x, y]) => pairKey(x, y));
+    expect(new Set(keys).size).toBe(6);
+  });
+
+  it("gibt bei ungerader Anzahl jedem genau ein Freilos", () => {
+    const rounds = bergerSchedule(["a", "b", "c", "d", "e"]);
+    expect(rounds).toHaveLength(5);
+    const byes = rounds.flat().filter((pair) => pair.includes(null)).map(([x, y]) => x ?? y);
+    expect(byes.sort()).toEqual(["a", "b", "c", "d", "e"]);
+    for (const round of rounds) expect(new Set(round.flat().filter(Boolean)).size).toBe(5);
+  });
+});
@@ -0,0 +1,163 @@
+// Stammliste pflegen: umbenennen und zwei Spieler zusammenführen.
+// data = { players, session, completed, ratingLog, attendance, seasons }
+// (derselbe Stand, den auch Rückgängig sichert)
+
+import { recomputeHistory } from "./days.js";
+import { computeOverall } from "./overall.js";
+import { inSeason, isArchived } from "./seasons.js";
+
+// Liefert eine Fehlermeldung oder null
+export function validateName(players, id, name) {
+  const n = name.trim();
+  if (!n) return "Bitte einen Namen angeben.";
+  const other = players.find((p) => p.id !== id && p.name.toLowerCase() === n.toLowerCase());
+  if (other) return `„${other.name}“ gibt es schon${other.archived ? " (archiviert)" : ""}.`;
+  return null;
+}
+
+// Hat der Spieler Spuren in Trainingstagen, Historie oder Anwesenheit?
+export function hasHistory(data, id) {
+  return (
+    data.ratingLog.some((e) => e.playerId === id) ||
+    data.completed.some((d) => (d.players ?? d.standings ?? []).some((p) => p.id === id)) ||
+    data.attendance.some((e) => e.playerIds.includes(id))
+  );
+}
+
+function renameRows(rows, id, name) {
+  return rows?.map((r) => (r.id === id ? { ...r, name } : r)) ?? rows;
+}
+
+// Neuer Name in der Stammliste und in allen gespeicherten Snapshots
+// (Trainingstage, laufende Session, Endtabellen archivierter Saisons)
+export function renamePlayer(data, id, name) {
+  const n = name.trim();
+  return {
+    ...data,
+    players: renameRows(data.players, id, n),
+    session: data.session ? { ...data.session, players: renameRows(data.session.players, id, n) } : null,
+    completed: data.completed.map((d) => ({
+      ...d,
+      players: renameRows(d.players, id, n),
+      standings: renameRows(d.standings, id, n),
+    })),
+    seasons: data.seasons.map((s) =>
+      s.final ? { ...s, final: { ...s.final, standings: renameRows(s.final.standings, id, n) } } : s
+    ),
+  };
+}
+
+function dayIds(day) {
+  return new Set((day.players ?? day.standings ?? []).map((p) => p.id));
+}
+
+// Liefert eine Fehlermeldung oder null
+export function mergeCheck(data, keepId, dropId) {
+  if (keepId === dropId) return "Bitte einen anderen Spieler wählen.";
+  if (data.session && !data.session.finished) return "Erst die laufende Rangliste abschließen oder verlassen.";
+  const both = data.completed.find((d) => {
+    const ids = dayIds(d);
+    return ids.has(keepId) && ids.has(dropId);
+  });
+  if (both) {
+    return `Beide waren am ${new Date(both.finishedAt).toLocaleDateString("de-DE")} dabei – das sind zwei verschiedene Spieler.`;
+  }
+  return null;
+}
+
+const ID_FIELDS = ["aId", "bId", "a2Id", "b2Id", "byeId"];
+
+// Spieler-IDs eines Spieltags (laufende Session oder Snapshot) ersetzen
+function remapDay(day, swap, rows) {
+  const next = { ...day, players: rows(day.players) };
+  if (day.standings) next.standings = rows(day.standings);
+  if (day.matches) {
+    next.matches = day.matches.map((m) => {
+      const out = { ...m };
+      for (const field of ID_FIELDS) if (out[field] !== undefined) out[field] = swap(out[field]);
+      return out;
+    });
+  }
+  if (day.teams) next.teams = day.teams.map((t) => t.map(swap));
+  if (day.groups) next.groups = day.groups.map((g) => ({ ...g, playerIds: g.playerIds.map(swap) }));
+  if (day.schedule) {
+    next.schedule = day.schedule.map((round) =>
+      round.map((x) => (Array.isArray(x) ? x.map(swap) : { ...x, pair: x.pair.map(swap) }))
+    );
+  }
+  return next;
+}
+
+// Spieler-IDs in allen gespeicherten Daten ersetzen (idMap: alt → neu), z.B.
+// beim Zusammenführen. Snapshots bekommen den Namen aus nameById.
+export function remapPlayerIds(data, idMap, nameById = new Map()) {
+  const swap = (id) => idMap.get(id) ?? id;
+  const touches = (day) => [...dayIds(day)].some((id) => idMap.has(id));
+  const rows = (list) =>
+    list?.map((r) => (idMap.has(r.id) ? { ...r, id: swap(r.id), name: nameById.get(swap(r.id)) ?? r.name } : r)) ??
+    list;
+
+  return {
+    ...data,
+    session: data.session && touches(data.session) ? remapDay(data.session, swap, rows) : data.session,
+    completed: data.completed.map((d) => (touches(d) ? remapDay(d, swap, rows) : d)),
+    ratingLog: data.ratingLog.map((e) => (idMap.has(e.playerId) ? { ...e, playerId: swap(e.playerId) } : e)),
+    attendance: data.attendance.map((e) =>
+      e.playerIds.some((id) => idMap.has(id)) ? { ...e, playerIds: [...new Set(e.playerIds.map(swap))] } : e
+    ),
+    seasons: data.seasons.map((s) =>
+      s.final?.standings.some((r) => idMap.has(r.id))
+        ? { ...s, final: { ...s.final, standings: rows(s.final.standings) } }
+        : s
+    ),
+  };
+}
+
+// dropId wird zu keepId: Ergebnisse, Historie und Anwesenheit gehen über,
+// auch in der (abgeschlossenen) Session, die noch angezeigt wird. Danach wird
+// die TTR-Historie aller nicht archivierten Tage neu berechnet, jeder Tag mit
+// dem Wertungssystem, mit dem er gewertet wurde.
+// Archivierte Saisons behalten ihre TTR-Werte; ihre Endtabelle wird mit der
+// damaligen Wertung neu gezählt.
+export function mergePlayers(data, keepId, dropId) {
+  const keep = data.players.find((p) => p.id === keepId);
+  const drop = data.players.find((p) => p.id === dropId);
+  const remapped = remapPlayerIds(data, new Map([[dropId, keepId]]), new Map([[keepId, keep.name]]));
+  const { completed } = remapped;
+
+  const seasons = data.seasons.map((s) => {
+    if (!s.final?.standings.some((r) => r.id === dropId)) return s;
+    const days = completed.filter((d) => inSeason(s, d.finishedAt));
+    return { ...s, final: { ...s.final, standings: computeOverall(days, s.final.overall) } };
+  });
+
+  // Profilfelder: was beim bleibenden Spieler fehlt, kommt vom anderen.
+  // Hat nur der andere schon gespielt, übernimmt er dessen Wertung.
+  const played = (id) => data.ratingLog.some((e) => e.playerId === id && !e.reset);
+  const rating = !played(keepId) && played(dropId) ? drop : keep;
+  const merged = {
+    ...keep,
+    ttr: rating.ttr,
+    games: rating.games,
+    lastPlayed: rating.lastPlayed,
+    rd: rating.rd,
+    vol: rating.vol,
+    active: Boolean(keep.active || drop.active),
+  };
+  for (const field of ["birthYear", "gender", "clubId"]) {
+    if (!merged[field] && drop[field]) merged[field] = drop[field];
+  }
+  merged.notes = [keep.notes, drop.notes].filter(Boolean).join("\n") || keep.notes;
+  const players = data.players.filter((p) => p.id !== dropId).map((p) => (p.id === keepId ? merged : p));
+
+  const result = recomputeHistory(completed.filter((d) => !isArchived(seasons, d)), remapped.ratingLog, players);
+  const updated = new Map(result.completed.map((d) => [d.id, d]));
+
+  return {
+    ...remapped,
+    players: result.players,
+    completed: completed.map((d) => updated.get(d.id) ?? d),
+    ratingLog: result.ratingLog,
+    seasons,
+  };
+}
@@ -0,0 +1,47 @@
+// Spielerprofil: Geburtsjahr, Geschlecht, Vereins-ID, Notizen und die daraus
+// abgeleiteten Altersklassen
+
+export const GENDERS = [
+  { value: "m", label: "männlich" },
+  { value: "w", label: "weiblich" },
+  { value: "d", label: "divers" },
+];
+
+// Jugendklassen: unter X Jahren im Jahr des Stichtags; älter = Erwachsene
+export const AGE_CLASSES = ["U11", "U13", "U15", "U17", "U19"];
+export const ADULT_CLASS = "Erwachsene";
+
+// Ohne eingestellten Stichtag: 1. Januar des laufenden Jahres
+export function defaultCutoff(now = new Date()) {
+  return `${now.getFullYear()}-01-01`;
+}
+
+// Stichtag "YYYY-MM-DD" in Ortszeit; new Date("YYYY-MM-DD") läse ihn als UTC
+export function cutoffDate(cutoff) {
+  return new Date(`${cutoff}T00:00:00`);
+}
+
+// Bekannt ist nur das Geburtsjahr, deshalb zählt wie im Verband der Jahrgang:
+// Alter = Jahr des Stichtags − Geburtsjahr. Bei einem Saisonstart im Sommer
+// ist der Stichtag z.B. der 1.7.; maßgeblich ist dann dessen Jahr.
+export function ageClass(birthYear, cutoff) {
+  if (!birthYear) return null;
+  const age = cutoffDate(cutoff).getFullYear() - birthYear;
+  return AGE_CLASSES.find((c) => age < Number(c.slice(1))) ?? ADULT_CLASS;
+}
+
+export function genderLabel(value) {
+  return GENDERS.find((g) => g.value === value)?.label ?? null;
+}
+
+// filter = { ageClass, gender }, leere Werte = alle
+export function matchesFilter(player, filter, cutoff) {
+  if (filter.ageClass && ageClass(player?.birthYear, cutoff) !== filter.ageClass) return false;
+  if (filter.gender && player?.gender !== filter.gender) return false;
+  return true;
+}
+
+// Kurztext für Überschriften und Ausdrucke, z.B. "U13, weiblich"
+export function filterLabel(filter) {
+  return [filter.ageClass, genderLabel(filter.gender)].filter(Boolean).join(", ");
+}
@@ -0,0 +1,246 @@
+// TTR/Elo-Berechnung und weitere Wertungssysteme (Engines).
+// Alle Engines rechnen einen Spieltag als Batch mit den Werten vom Start.
+
+import { isDoubles, sideIds } from "./doubles.js";
+
+export const DEFAULT_TTR = 1000;
+export const TTR_K = 16;
+export const TTR_SCALE = 150;
+
+export const RATING_ENGINES = [
+  { value: "elo", short: "Elo", label: "Elo (feste Konstante 16)" },
+  { value: "ttr", short: "TTR", label: "TTR (Konstante nach Alter und Erfahrung)" },
+  { value: "glicko2", short: "Glicko-2", label: "Glicko-2 (mit Unsicherheit)" },
+];
+export const DEFAULT_ENGINE = "elo";
+
+// Doppel zählt in allen Engines halb, weil das Ergebnis auch am Partner hängt.
+// Erwartung jeweils aus dem Mittel der beiden Seiten.
+const DOUBLES_WEIGHT = 0.5;
+
+// Glicko-2 nach Glickman; Wertungsperiode = ein Spieltag. Glickmans 173,7178
+// (= 400 / ln 10) gilt für die Elo-Skala mit 400; hier mit TTR_SCALE, damit
+// alle Engines bei gleichem Abstand dieselbe Gewinnerwartung haben.
+const GLICKO_SCALE = TTR_SCALE / Math.LN10;
+export const GLICKO_RD = Math.round((350 * TTR_SCALE) / 400); // Unsicherheit ohne gewertete Spiele
+const GLICKO_VOL = 0.06;
+const GLICKO_TAU = 0.5;
+const GLICKO_EPSILON = 0.000001;
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+// --- TTR Funktionen (dein Ansatz, nur sauber symmetrisch) ---
+export function expectedScore(rA, rB) {
+  return 1 / (1 + Math.pow(10, (rB - rA) / TTR_SCALE));
+}
+
+export function matchDelta(rA, rB, aWon, k = TTR_K) {
+  const P = expectedScore(rA, rB);
+  const result = aWon ? 1 : 0;
+  const deltaA = Math.round((result - P) * k);
+  const deltaB = -deltaA;
+  return { deltaA, deltaB };
+}
+
+// Änderungskonstante wie beim TTR: Grundwert 16, +4 unter 21 Jahren, weitere
+// +4 unter 16, +4 für Neulinge (weniger als 30 gewertete Spiele) und +4 nach
+// mehr als einem Jahr ohne Spiel. Ohne Geburtsjahr gibt es keinen Jugendbonus.
+export function ttrConstant(p, date) {
+  let k = TTR_K;
+  const age = p.birthYear ? new Date(date).getFullYear() - p.birthYear : null;
+  if (age !== null && age < 21) k += 4;
+  if (age !== null && age < 16) k += 4;
+  if ((p.games ?? 0) < 30) k += 4;
+  if (p.lastPlayed && new Date(date) - new Date(p.lastPlayed) > YEAR_MS) k += 4;
+  return k;
+}
+
+function avg(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// Gewertete Begegnungen: Ergebnis eingetragen, alle Spieler mit Start-Wert
+function ratedGames(start, matches) {
+  const games = [];
+  for (const m of matches ?? []) {
+    if (m.byeId) continue; // Freilos: kein TTR-Change (auch in der KO-Runde)
+    if (m.scoreA === null || m.scoreB === null) continue;
+    const a = sideIds(m, "a");
+    const b = sideIds(m, "b");
+    if (![...a, ...b].every((id) => Number.isFinite(start.get(id)?.ttr))) continue;
+    games.push({ m, a, b, aWon: m.scoreA > m.scoreB, weight: isDoubles(m) ? DOUBLES_WEIGHT : 1 });
+  }
+  return games;
+}
+
+function sideRating(start, ids) {
+  return avg(ids.map((id) => start.get(id).ttr));
+}
+
+// Jede Engine liefert je Begegnung eine Map Spieler -> Änderung
+function eloDeltas(start, games) {
+  const out = new Map();
+  for (const g of games) {
+    const { deltaA, deltaB } = matchDelta(sideRating(start, g.a), sideRating(start, g.b), g.aWon, TTR_K * g.weight);
+    out.set(g.m.id, new Map([...g.a.map((id) => [id, deltaA]), ...g.b.map((id) => [id, deltaB])]));
+  }
+  return out;
+}
+
+function ttrDeltas(start, games, date) {
+  const out = new Map();
+  for (const g of games) {
+    const P = expectedScore(sideRating(start, g.a), sideRating(start, g.b));
+    const result = g.aWon ? 1 : 0;
+    const delta = (id, diff) => [id, Math.round(diff * ttrConstant(start.get(id), date) * g.weight)];
+    out.set(g.m.id, new Map([...g.a.map((id) => delta(id, result - P)), ...g.b.map((id) => delta(id, P - result))]));
+  }
+  return out;
+}
+
+function glickoG(phi) {
+  return 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+}
+
+function glickoE(mu, muJ, phiJ) {
+  return 1 / (1 + Math.exp(-glickoG(phiJ) * (mu - muJ)));
+}
+
+// Neue Volatilität (Schritt 5 bei Glickman, Illinois-Verfahren)
+function glickoVolatility(phi, sigma, v, delta) {
+  const a = Math.log(sigma * sigma);
+  const f = (x) =>
+    (Math.exp(x) * (delta * delta - phi * phi - v - Math.exp(x))) /
+      (2 * (phi * phi + v + Math.exp(x)) ** 2) -
+    (x - a) / (GLICKO_TAU * GLICKO_TAU);
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * GLICKO_TAU) < 0) k++;
+    B = a - k * GLICKO_TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > GLICKO_EPSILON) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA /= 2;
+    }
+    B = C;
+    fB = fC;
+  }
+  return Math.exp(A / 2);
+}
+
+// Glicko-2: je Spieler alle Spiele des Tages auf einmal. Gegner im Doppel =
+// Mittel der anderen Seite. Die Änderung je Begegnung ist der Anteil dieses
+// Spiels an der Gesamtänderung.
+function glickoDeltas(start, games) {
+  const mu = (id) => start.get(id).ttr / GLICKO_SCALE;
+  const phi = (id) => (start.get(id).rd ?? GLICKO_RD) / GLICKO_SCALE;
+
+  const byPlayer = new Map();
+  for (const g of games) {
+    for (const [own, other, s] of [
+      [g.a, g.b, g.aWon ? 1 : 0],
+      [g.b, g.a, g.aWon ? 0 : 1],
+    ]) {
+      const opp = {
+        matchId: g.m.id,
+        mu: avg(own.map(mu)),
+        muJ: avg(other.map(mu)),
+        phiJ: Math.sqrt(avg(other.map((id) => phi(id) ** 2))),
+        s,
+        w: g.weight,
+      };
+      for (const id of own) byPlayer.set(id, [...(byPlayer.get(id) ?? []), opp]);
+    }
+  }
+
+  const deltas = new Map(games.map((g) => [g.m.id, new Map()]));
+  const state = new Map();
+  for (const [id, list] of byPlayer) {
+    const phiP = phi(id);
+    const sigma = start.get(id).vol ?? GLICKO_VOL;
+    let vInv = 0;
+    let sum = 0;
+    for (const o of list) {
+      const E = glickoE(o.mu, o.muJ, o.phiJ);
+      vInv += o.w * glickoG(o.phiJ) ** 2 * E * (1 - E);
+      sum += o.w * glickoG(o.phiJ) * (o.s - E);
+    }
+    const v = 1 / vInv;
+    const vol = glickoVolatility(phiP, sigma, v, v * sum);
+    const phiStar = Math.sqrt(phiP * phiP + vol * vol);
+    const phiNew = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+
+    for (const o of list) {
+      const E = glickoE(o.mu, o.muJ, o.phiJ);
+      const part = GLICKO_SCALE * phiNew * phiNew * o.w * glickoG(o.phiJ) * (o.s - E);
+      deltas.get(o.matchId).set(id, Math.round(part));
+    }
+    state.set(id, { rd: phiNew * GLICKO_SCALE, vol });
+  }
+  return { deltas, state };
+}
+
+function sideDeltas(m, d) {
+  const out = { deltaA: d.get(m.aId), deltaB: d.get(m.bId) };
+  if (m.a2Id) out.deltaA2 = d.get(m.a2Id);
+  if (m.b2Id) out.deltaB2 = d.get(m.b2Id);
+  return out;
+}
+
+// TTR-Update als BATCH nach Spieltag:
+// Für jede Begegnung rechnen wir mit den Werten vom START des Spieltags (startPlayers).
+// Liefert die Summe pro Spieler, die Änderung pro Begegnung (deltaA/deltaB, im
+// Doppel zusätzlich deltaA2/deltaB2 für die Partner) und je Spieler die
+// Zusatzwerte nach dem Tag (gewertete Spiele, letzter Spieltag, bei Glicko-2
+// Unsicherheit rd und Volatilität vol).
+export function batchDeltas(startPlayers, matches, { engine = DEFAULT_ENGINE, date = new Date().toISOString() } = {}) {
+  const start = new Map(startPlayers.map((p) => [p.id, p]));
+  const games = ratedGames(start, matches);
+  const glicko = engine === "glicko2" ? glickoDeltas(start, games) : null;
+  const byMatch = glicko ? glicko.deltas : engine === "ttr" ? ttrDeltas(start, games, date) : eloDeltas(start, games);
+
+  const total = new Map(startPlayers.map((p) => [p.id, 0]));
+  const perMatch = new Map();
+  const state = new Map();
+  for (const g of games) {
+    const d = byMatch.get(g.m.id);
+    perMatch.set(g.m.id, sideDeltas(g.m, d));
+    for (const [id, delta] of d) {
+      total.set(id, (total.get(id) ?? 0) + delta);
+      const prev = state.get(id) ?? { games: start.get(id).games ?? 0, ...glicko?.state.get(id) };
+      state.set(id, { ...prev, games: prev.games + 1, lastPlayed: date });
+    }
+  }
+
+  return { total, perMatch, state };
+}
+
+// Änderung eines Spielers in einer gespeicherten Begegnung
+export function playerDelta(m, playerId) {
+  if (m.a2Id === playerId) return m.deltaA2 ?? m.deltaA ?? null;
+  if (m.b2Id === playerId) return m.deltaB2 ?? m.deltaB ?? null;
+  if (m.aId === playerId) return m.deltaA ?? null;
+  if (m.bId === playerId) return m.deltaB ?? null;
+  return null;
+}
+
+// Glicko-2: wer an einem Spieltag nicht spielt, wird unsicherer
+export function idleState(engine, p) {
+  if (engine !== "glicko2") return {};
+  const phi = (p.rd ?? GLICKO_RD) / GLICKO_SCALE;
+  const sigma = p.vol ?? GLICKO_VOL;
+  return { rd: Math.min(GLICKO_RD, Math.sqrt(phi * phi + sigma * sigma) * GLICKO_SCALE) };
+}
@@ -0,0 +1,84 @@
+import { describe, expect, it } from "vitest";
+import { GLICKO_RD, batchDeltas, expectedScore, idleState, ttrConstant } from "./rating.js";
+
+const DATE = "2026-10-19T18:00:00Z";
+const veteran = (id, ttr = 1000) => ({ id, ttr, games: 40, lastPlayed: "2026-10-12T18:00:00Z" });
+
+describe("expectedScore", () => {
+  it("ist bei gleichem TTR 50 % und symmetrisch", () => {
+    expect(expectedScore(1000, 1000)).toBe(0.5);
+    expect(expectedScore(1100, 1000) + expectedScore(1000, 1100)).toBeCloseTo(1);
+  });
+});
+
+describe("ttrConstant", () => {
+  it("gibt Zuschläge für Jugend, Neulinge und lange Pause", () => {
+    expect(ttrConstant(veteran("a"), DATE)).toBe(16);
+    expect(ttrConstant({ games: 0 }, DATE)).toBe(20);
+    expect(ttrConstant({ ...veteran("a"), birthYear: 2014 }, DATE)).toBe(24);
+    expect(ttrConstant({ ...veteran("a"), lastPlayed: "2025-01-01T00:00:00Z" }, DATE)).toBe(20);
+  });
+});
+
+describe("batchDeltas", () => {
+  const players = [veteran("a"), veteran("b"), { id: "c", ttr: 1000, games: 0, birthYear: 2014 }, veteran("d")];
+  const matches = [
+    { id: "m1", aId: "a", bId: "b", scoreA: 3, scoreB: 1 },
+    { id: "m2", aId: "c", bId: "d", scoreA: 3, scoreB: 0 },
+    { id: "bye", byeId: "a" },
+    { id: "open", aId: "a", bId: "d", scoreA: null, scoreB: null },
+  ];
+
+  it("Elo: feste Konstante 16, Freilose und offene Spiele zählen nicht", () => {
+    const { total, perMatch, state } = batchDeltas(players, matches, { engine: "elo", date: DATE });
+    expect(Object.fromEntries(total)).toEqual({ a: 8, b: -8, c: 8, d: -8 });
+    expect(perMatch.get("m1")).toEqual({ deltaA: 8, deltaB: -8 });
+    expect(perMatch.has("bye")).toBe(false);
+    expect(perMatch.has("open")).toBe(false);
+    expect(state.get("a")).toEqual({ games: 41, lastPlayed: DATE });
+  });
+
+  it("TTR: Konstante nach Alter und Erfahrung je Spieler", () => {
+    const { total } = batchDeltas(players, matches, { engine: "ttr", date: DATE });
+    // c: Jugend unter 16 (+8) und Neuling (+4) = 28
+    expect(Object.fromEntries(total)).toEqual({ a: 8, b: -8, c: 14, d: -8 });
+  });
+
+  it("Glicko-2: Sieger gewinnt, Unsicherheit sinkt", () => {
+    const { total, state } = batchDeltas(players, matches, { engine: "glicko2", date: DATE });
+    expect(total.get("a")).toBeGreaterThan(0);
+    expect(total.get("a")).toBe(-total.get("b"));
+    expect(state.get("a").rd).toBeLessThan(GLICKO_RD);
+    expect(state.get("a").vol).toBeGreaterThan(0);
+
+    // wer schon sicher eingestuft ist, bewegt sich weniger
+    const settled = players.map((p) => ({ ...p, rd: 50 }));
+    const again = batchDeltas(settled, matches, { engine: "glicko2", date: DATE });
+    expect(again.total.get("a")).toBeLessThan(total.get("a"));
+  });
+
+  it("rechnet alle Spiele mit den Werten vom Start des Tages", () => {
+    const twice = [
+      { id: "x", aId: "a", bId: "b", scoreA: 3, scoreB: 0 },
+      { id: "y", aId: "a", bId: "b", scoreA: 3, scoreB: 0 },
+    ];
+    const { perMatch } = batchDeltas([veteran("a"), veteran("b")], twice, { engine: "elo", date: DATE });
+    expect(perMatch.get("x")).toEqual(perMatch.get("y"));
+  });
+
+  it("Doppel zählt halb, beide Partner bekommen dieselbe Änderung", () => {
+    const doubles = [{ id: "d", aId: "a", a2Id: "b", bId: "c", b2Id: "d", scoreA: 3, scoreB: 2 }];
+    for (const engine of ["elo", "ttr"]) {
+      const { perMatch } = batchDeltas(["a", "b", "c", "d"].map((id) => veteran(id)), doubles, { engine, date: DATE });
+      expect(perMatch.get("d")).toEqual({ deltaA: 4, deltaB: -4, deltaA2: 4, deltaB2: -4 });
+    }
+  });
+});
+
+describe("idleState", () => {
+  it("macht nur Glicko-2-Spieler unsicherer, höchstens bis zum Startwert", () => {
+    expect(idleState("elo", { rd: 50 })).toEqual({});
+    expect(idleState("glicko2", { rd: 50 }).rd).toBeGreaterThan(50);
+    expect(idleState("glicko2", {}).rd).toBe(GLICKO_RD);
+  });
+});
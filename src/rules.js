@@ -0,0 +1,192 @@
+// Regeln eines Spieltags: Runden, Punkte, Spielformat.
+// Werden beim Start in die Session kopiert und landen im Snapshot,
+// damit alte Trainingstage mit ihren eigenen Regeln gerechnet werden.
+
+import { DOUBLES_MODES } from "./doubles.js";
+
+export const SESSION_TYPES = [
+  { value: "ranking", label: "Rangliste (Runden auslosen)" },
+  { value: "roundrobin", label: "Jeder gegen Jeden" },
+  { value: "tournament", label: "Turnier (Gruppen + KO)" },
+  { value: "doubles", label: "Doppel" },
+];
+
+export const MATCH_FORMATS = [
+  { value: "fixed3", label: "3 Sätze (immer alle)", sets: 3, toWin: 2, fixed: true },
+  { value: "bo3", label: "Best of 3 (2 Gewinnsätze)", sets: 3, toWin: 2, fixed: false },
+  { value: "bo5", label: "Best of 5 (3 Gewinnsätze)", sets: 5, toWin: 3, fixed: false },
+];
+
+// Wertung eines Freiloses
+export const BYE_MODES = [
+  { value: "win", label: "Wie ein Sieg (volle Freilos-Punkte)" },
+  { value: "half", label: "Halbe Freilos-Punkte, kein Sieg" },
+  { value: "excluded", label: "Nicht gewertet (Tabelle nach Punkten pro Spiel)" },
+];
+
+// Nachzügler: wie werden verpasste Runden gewertet?
+export const LATE_MODES = [
+  { value: "none", label: "Verpasste Runden ohne Punkte" },
+  { value: "byes", label: "Verpasste Runden als Freilos" },
+];
+
+// Satz bis 11, ab 10:10 mit zwei Punkten Abstand
+const SET_POINTS = 11;
+
+export const DEFAULT_RULES = {
+  type: "ranking",
+  rounds: 6,
+  pairing: "random",
+  winPoints: 2,
+  lossPoints: 0,
+  byePoints: 2, // Freilos = Sieg
+  byeMode: "win",
+  lateMode: "none",
+  format: "fixed3",
+  ballTiebreak: false, // Balldifferenz als Feinwertung nach der Satzdifferenz
+  groups: 2, // nur Turnier
+  qualifiers: 2, // nur Turnier: Weiterkommende pro Gruppe
+  tables: 0, // Tische in der Halle, 0 = ohne Tischverteilung
+  doubles: "rotating", // nur Doppel: wechselnde Partner oder feste Paare
+};
+
+export function matchFormat(value) {
+  return MATCH_FORMATS.find((f) => f.value === value) ?? MATCH_FORMATS[0];
+}
+
+// Regeln einer Session/eines Snapshots; alte Daten ohne Regeln bekommen die
+// Werte, mit denen die App bis dahin fest gerechnet hat.
+export function sessionRules(session) {
+  return {
+    ...DEFAULT_RULES,
+    rounds: session?.rounds ?? DEFAULT_RULES.rounds,
+    pairing: session?.pairing ?? DEFAULT_RULES.pairing,
+    ...(session?.rules ?? {}),
+  };
+}
+
+// Werte aus dem Setup-Formular auf gültige Zahlen bringen
+export function normalizeRules(raw) {
+  const int = (v, fallback, min, max) => {
+    const n = Math.round(Number(v));
+    if (!Number.isFinite(n)) return fallback;
+    return Math.min(max, Math.max(min, n));
+  };
+  return {
+    type: SESSION_TYPES.some((t) => t.value === raw.type) ? raw.type : DEFAULT_RULES.type,
+    rounds: int(raw.rounds, DEFAULT_RULES.rounds, 1, 30),
+    pairing: raw.pairing ?? DEFAULT_RULES.pairing,
+    winPoints: int(raw.winPoints, DEFAULT_RULES.winPoints, 0, 10),
+    lossPoints: int(raw.lossPoints, DEFAULT_RULES.lossPoints, 0, 10),
+    byePoints: int(raw.byePoints, DEFAULT_RULES.byePoints, 0, 10),
+    byeMode: BYE_MODES.some((m) => m.value === raw.byeMode) ? raw.byeMode : DEFAULT_RULES.byeMode,
+    lateMode: LATE_MODES.some((m) => m.value === raw.lateMode) ? raw.lateMode : DEFAULT_RULES.lateMode,
+    format: matchFormat(raw.format).value,
+    ballTiebreak: Boolean(raw.ballTiebreak),
+    groups: int(raw.groups, DEFAULT_RULES.groups, 1, 16),
+    qualifiers: int(raw.qualifiers, DEFAULT_RULES.qualifiers, 1, 16),
+    tables: int(raw.tables, DEFAULT_RULES.tables, 0, 50),
+    doubles: DOUBLES_MODES.some((m) => m.value === raw.doubles) ? raw.doubles : DEFAULT_RULES.doubles,
+  };
+}
+
+// Jeder gegen Jeden: Rundenzahl ergibt sich aus der Teilnehmerzahl
+export function roundRobinRounds(playerCount) {
+  if (playerCount < 2) return 0;
+  return playerCount % 2 === 0 ? playerCount - 1 : playerCount;
+}
+
+// Alle gültigen Satzergebnisse aus Sicht von Spieler A, z.B. ["3-0", "2-1", ...]
+export function resultValues(formatValue) {
+  const f = matchFormat(formatValue);
+  const out = [];
+  if (f.fixed) {
+    for (let a = f.sets; a >= 0; a--) out.push(`${a}-${f.sets - a}`);
+    return out;
+  }
+  for (let b = 0; b < f.toWin; b++) out.push(`${f.toWin}-${b}`);
+  for (let a = f.toWin - 1; a >= 0; a--) out.push(`${a}-${f.toWin}`);
+  return out;
+}
+
+export function resultOptions(formatValue) {
+  return [
+    { label: "—", value: "" },
+    ...resultValues(formatValue).map((v) => ({ label: v.replace("-", "–"), value: v })),
+  ];
+}
+
+export function parseResult(value, formatValue) {
+  if (!value) return null;
+  if (!resultValues(formatValue).includes(value)) return null;
+  const [a, b] = value.split("-").map((x) => Number(x));
+  return { a, b };
+}
+
+// Punkte für ein Freilos nach byeMode
+export function byeValue(rules) {
+  if (rules.byeMode === "excluded") return 0;
+  if (rules.byeMode === "half") return rules.byePoints / 2;
+  return rules.byePoints;
+}
+
+export function byeText(rules) {
+  if (rules.byeMode === "excluded") return "Freilos: nicht gewertet, Tabelle nach Punkten pro Spiel.";
+  if (rules.byeMode === "half") return `Freilos: +${byeValue(rules)} Punkte (halb), zählt nicht als Sieg.`;
+  return `Freilos: +${rules.byePoints} Punkte, keine Satzwertung.`;
+}
+
+// Kurztext für Hinweise und Ausdrucke
+export function rulesSummary(rules) {
+  const results = resultValues(rules.format)
+    .map((v) => v.replace("-", "–"))
+    .join(", ");
+  return (
+    `Ergebnisse: ${results}. Sieg: ${rules.winPoints} Pkt, Niederlage: ${rules.lossPoints} Pkt. ` +
+    byeText(rules) +
+    (rules.ballTiebreak ? " Bei gleicher Satzdifferenz entscheidet die Balldifferenz." : "")
+  );
+}
+
+// Prüft einen einzelnen Satz; liefert eine Fehlermeldung oder null
+export function validateSet(a, b) {
+  if (!Number.isInteger(a) || !Number.isInteger(b) || a < 0 || b < 0) return "Ungültige Zahl";
+  const hi = Math.max(a, b);
+  const lo = Math.min(a, b);
+  if (hi < SET_POINTS) return `Satz geht bis ${SET_POINTS}`;
+  if (lo < SET_POINTS - 1) {
+    if (hi !== SET_POINTS) return `Bei ${lo} Gegenpunkten endet der Satz bei ${SET_POINTS}`;
+    return null;
+  }
+  if (hi - lo !== 2) return "Ab 10:10 mit genau zwei Punkten Abstand";
+  return null;
+}
+
+// Satzergebnisse (z.B. [{ a: 11, b: 8 }, ...]) -> { a, b, sets } oder { error }
+export function parseSets(sets, formatValue) {
+  const f = matchFormat(formatValue);
+  if (!sets.length) return { error: "Keine Sätze eingetragen" };
+  if (sets.length > f.sets) return { error: `Höchstens ${f.sets} Sätze` };
+
+  let a = 0;
+  let b = 0;
+  for (let i = 0; i < sets.length; i++) {
+    const s = sets[i];
+    const err = validateSet(s.a, s.b);
+    if (err) return { error: `Satz ${i + 1}: ${err}` };
+    if (!f.fixed && (a === f.toWin || b === f.toWin)) {
+      return { error: `Satz ${i + 1}: Spiel war schon entschieden` };
+    }
+    if (s.a > s.b) a++;
+    else b++;
+  }
+
+  if (f.fixed ? a + b !== f.sets : a !== f.toWin && b !== f.toWin) {
+    return { error: "Spiel ist noch nicht entschieden" };
+  }
+  return { a, b, sets: sets.map((s) => ({ a: s.a, b: s.b })) };
+}
+
+export function formatSets(sets) {
+  return (sets ?? []).map((s) => `${s.a}:${s.b}`).join(", ");
+}
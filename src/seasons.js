@@ -0,0 +1,83 @@
+// Saisons: benannter Zeitraum, Trainingstage gehören über finishedAt dazu.
+// Eine abgeschlossene Saison ist archiviert (nur lesen) und behält ihre
+// Endtabelle, auch wenn sich Wertung oder Stammliste später ändern.
+
+import { computeOverall } from "./overall.js";
+
+// Datum als YYYY-MM-DD in Ortszeit (wie im Datumsfeld)
+export function localDate(date = new Date()) {
+  // reines Datum nicht über Date parsen, das läse es als UTC
+  if (typeof date === "string" && /^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// Vorschlag für eine neue Saison: wie im Tischtennis vom 1.7. bis 30.6.;
+// wurde die letzte Saison vorzeitig abgeschlossen, beginnt sie am Abschlusstag
+export function defaultSeason(now = new Date(), seasons = []) {
+  const y = now.getMonth() >= 6 ? now.getFullYear() : now.getFullYear() - 1;
+  const draft = { name: `Saison ${y}/${String(y + 1).slice(2)}`, start: `${y}-07-01`, end: `${y + 1}-06-30` };
+  const closed = seasons.find((s) => closedOnLastDay(s) && s.end >= draft.start && s.end <= draft.end);
+  return closed ? { ...draft, start: closed.end } : draft;
+}
+
+// Wird eine Saison an ihrem letzten Tag abgeschlossen, gehört von diesem Tag
+// nur dazu, was vor dem Abschluss fertig war; der Rest zählt zur nächsten Saison.
+export function inSeason(season, date) {
+  const day = localDate(date);
+  if (day < season.start || day > season.end) return false;
+  if (closedOnLastDay(season) && day === season.end && String(date).length > 10) {
+    return new Date(date) <= new Date(season.closedAt);
+  }
+  return true;
+}
+
+function closedOnLastDay(season) {
+  return Boolean(season.closedAt) && localDate(season.closedAt) === season.end;
+}
+
+export function seasonOf(seasons, date) {
+  return seasons.find((s) => inSeason(s, date)) ?? null;
+}
+
+// Laufende Saison: offen und heute im Zeitraum
+export function currentSeason(seasons, now = new Date()) {
+  return seasons.find((s) => !s.closed && inSeason(s, now)) ?? null;
+}
+
+export function isArchived(seasons, day) {
+  return Boolean(seasonOf(seasons, day.finishedAt)?.closed);
+}
+
+// Liefert eine Fehlermeldung oder null
+export function validateSeason(seasons, draft) {
+  if (!draft.name.trim()) return "Bitte einen Namen für die Saison angeben.";
+  if (!draft.start || !draft.end) return "Bitte Beginn und Ende angeben.";
+  if (draft.start > draft.end) return "Die Saison muss enden, nachdem sie begonnen hat.";
+  const overlap = seasons.find(
+    (s) =>
+      s.id !== draft.id &&
+      draft.start <= s.end &&
+      draft.end >= s.start &&
+      // am Abschlusstag darf die nächste Saison schon beginnen
+      !(closedOnLastDay(s) && draft.start === s.end)
+  );
+  if (overlap) return `Überschneidet sich mit „${overlap.name}“.`;
+  return null;
+}
+
+// Abschließen: endet spätestens heute, damit spätere Trainingstage nicht mehr
+// hineinfallen (siehe inSeason); die Endtabelle wird mit der aktuellen
+// Wertung eingefroren. ttr = "carry" (weiterführen) oder "reset" (alle auf Startwert).
+export function closeSeason(season, completed, overall, ttr, now = new Date()) {
+  const end = season.end < localDate(now) ? season.end : localDate(now);
+  const closed = { ...season, end, closedAt: now.toISOString() };
+  const days = completed.filter((d) => inSeason(closed, d.finishedAt));
+  return {
+    ...closed,
+    closed: true,
+    ttr,
+    final: { overall, days: days.length, standings: computeOverall(days, overall) },
+  };
+}
@@ -0,0 +1,95 @@
+// Tabellenberechnung eines Spieltags (auch für abgeschlossene Snapshots)
+
+import { sideIds } from "./doubles.js";
+import { byeValue } from "./rules.js";
+
+const BYE_SETS_WON = 0;
+const BYE_SETS_LOST = 0;
+
+function credit(P, setsFor, setsAgainst, sets, side, won, rules) {
+  P.played += 1;
+  P.setsWon += setsFor;
+  P.setsLost += setsAgainst;
+  for (const s of sets ?? []) {
+    P.ballsWon += side === "a" ? s.a : s.b;
+    P.ballsLost += side === "a" ? s.b : s.a;
+  }
+  if (won) {
+    P.wins += 1;
+    P.points += rules.winPoints;
+  } else {
+    P.losses += 1;
+    P.points += rules.lossPoints;
+  }
+}
+
+export function computeStandings(players, matches, rules) {
+  const base = new Map(
+    players.map((p) => [
+      p.id,
+      {
+        id: p.id,
+        name: p.name,
+        withdrawn: Boolean(p.withdrawn),
+        points: 0,
+        wins: 0,
+        losses: 0,
+        setsWon: 0,
+        setsLost: 0,
+        ballsWon: 0,
+        ballsLost: 0,
+        played: 0,
+        byes: 0,
+      },
+    ])
+  );
+
+  for (const m of matches ?? []) {
+    if (m.byeId) {
+      const P = base.get(m.byeId);
+      // Gegner hatte sich abgemeldet: nicht gespielt, keine Punkte
+      if (!P || m.unplayed) continue;
+      P.byes += 1;
+      if (rules.byeMode === "excluded") continue;
+      P.played += 1;
+      if ((rules.byeMode ?? "win") === "win") P.wins += 1;
+      P.points += byeValue(rules);
+      P.setsWon += BYE_SETS_WON;
+      P.setsLost += BYE_SETS_LOST;
+      continue;
+    }
+
+    if (m.scoreA === null || m.scoreB === null) continue;
+
+    // im Doppel bekommt jeder Spieler der Seite das Ergebnis gutgeschrieben
+    const A = sideIds(m, "a").map((id) => base.get(id));
+    const B = sideIds(m, "b").map((id) => base.get(id));
+    if (!A.length || !B.length || [...A, ...B].some((P) => !P)) continue;
+
+    const aWon = m.scoreA > m.scoreB;
+    for (const P of A) credit(P, m.scoreA, m.scoreB, m.sets, "a", aWon, rules);
+    for (const P of B) credit(P, m.scoreB, m.scoreA, m.sets, "b", !aWon, rules);
+  }
+
+  const arr = Array.from(base.values());
+  // Freilos nicht gewertet: Vergleich über Punkte pro gespieltem Spiel
+  const normalized = rules.byeMode === "excluded";
+  if (normalized) {
+    for (const s of arr) s.perGame = s.played ? s.points / s.played : 0;
+  }
+  arr.sort((x, y) => {
+    const sdX = x.setsWon - x.setsLost;
+    const sdY = y.setsWon - y.setsLost;
+    if (normalized && y.perGame !== x.perGame) return y.perGame - x.perGame;
+    if (y.points !== x.points) return y.points - x.points;
+    if (sdY !== sdX) return sdY - sdX;
+    if (rules.ballTiebreak) {
+      const bdX = x.ballsWon - x.ballsLost;
+      const bdY = y.ballsWon - y.ballsLost;
+      if (bdY !== bdX) return bdY - bdX;
+    }
+    if (y.setsWon !== x.setsWon) return y.setsWon - x.setsWon;
+    return x.name.localeCompare(y.name, "de");
+  });
+  return arr;
+}
@@ -0,0 +1,79 @@
+// Auswertungen über abgeschlossene Trainingstage
+
+import { sideIds } from "./doubles.js";
+import { playerDelta } from "./rating.js";
+
+// Alle Spieler, die in der Stammliste oder in einem Snapshot vorkommen
+export function knownPlayers(players, completed) {
+  const map = new Map();
+  for (const day of completed) {
+    for (const p of day.players ?? day.standings ?? []) {
+      if (p.id) map.set(p.id, { id: p.id, name: p.name });
+    }
+  }
+  for (const p of players) map.set(p.id, { id: p.id, name: p.name });
+  return Array.from(map.values()).sort((a, b) => a.name.localeCompare(b.name, "de"));
+}
+
+// Alle gewerteten Begegnungen eines Spielers, aus seiner Sicht, neueste zuerst
+export function playerGames(completed, playerId) {
+  const games = [];
+  for (const day of completed) {
+    const names = new Map((day.players ?? day.standings ?? []).map((p) => [p.id, p.name]));
+    for (const m of day.matches ?? []) {
+      if (m.byeId || m.scoreA === null || m.scoreB === null) continue;
+      const forward = sideIds(m, "a").includes(playerId);
+      if (!forward && !sideIds(m, "b").includes(playerId)) continue;
+
+      // im Doppel: Gegner sind beide Spieler der anderen Seite
+      const own = sideIds(m, forward ? "a" : "b");
+      const opponentIds = sideIds(m, forward ? "b" : "a");
+      const partnerId = own.find((id) => id !== playerId) ?? null;
+      games.push({
+        id: m.id,
+        dayId: day.id,
+        date: day.finishedAt,
+        round: m.round,
+        opponentId: opponentIds[0],
+        opponentIds,
+        opponentName: opponentIds.map((id) => names.get(id) ?? "?").join(" / "),
+        partnerId,
+        partnerName: partnerId ? names.get(partnerId) ?? "?" : null,
+        setsFor: forward ? m.scoreA : m.scoreB,
+        setsAgainst: forward ? m.scoreB : m.scoreA,
+        sets: (m.sets ?? []).map((s) => (forward ? s : { a: s.b, b: s.a })),
+        delta: playerDelta(m, playerId),
+      });
+    }
+  }
+  games.sort((x, y) => String(y.date).localeCompare(String(x.date)) || y.round - x.round);
+  return games;
+}
+
+// Direkter Vergleich: alle Einzel von a gegen b, aus Sicht von a
+export function headToHead(completed, aId, bId) {
+  const games = playerGames(completed, aId).filter((g) => !g.partnerId && g.opponentId === bId);
+
+  const summary = { wins: 0, losses: 0, setsWon: 0, setsLost: 0 };
+  for (const g of games) {
+    if (g.setsFor > g.setsAgainst) summary.wins += 1;
+    else summary.losses += 1;
+    summary.setsWon += g.setsFor;
+    summary.setsLost += g.setsAgainst;
+  }
+  return { games, summary };
+}
+
+// Größte Siege/Niederlagen nach TTR-Änderung
+export function biggestResults(games, count = 3) {
+  const rated = games.filter((g) => g.delta !== null);
+  const wins = rated
+    .filter((g) => g.setsFor > g.setsAgainst)
+    .sort((x, y) => y.delta - x.delta)
+    .slice(0, count);
+  const losses = rated
+    .filter((g) => g.setsFor < g.setsAgainst)
+    .sort((x, y) => x.delta - y.delta)
+    .slice(0, count);
+  return { wins, losses };
+}
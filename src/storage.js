@@ -0,0 +1,187 @@
+// Persistenz im Browser
+//
+// Gespeichert wird in IndexedDB; localStorage dient nur noch als Ausweichlösung,
+// wenn IndexedDB nicht verfügbar ist (z.B. manche privaten Fenster). Beim Start
+// lädt initStorage() alles in einen Zwischenspeicher, damit loadJSON/saveJSON
+// synchron bleiben; geschrieben wird im Hintergrund.
+
+export const KEYS = {
+  players: "vereinsapp.players.v1",
+  session: "vereinsapp.session.v1",
+  completed: "vereinsapp.completed.v1",
+  settings: "vereinsapp.settings.v1",
+  ratingLog: "vereinsapp.ratings.v1",
+  club: "vereinsapp.club.v1",
+  seasons: "vereinsapp.seasons.v1",
+  attendance: "vereinsapp.attendance.v1",
+  // nur auf diesem Gerät, nicht im Backup
+  activity: "vereinsapp.activity.v1",
+  history: "vereinsapp.history.v1",
+  editor: "vereinsapp.editor.v1",
+  syncUrl: "vereinsapp.syncUrl.v1",
+  syncCode: "vereinsapp.syncCode.v1",
+  syncState: "vereinsapp.syncState.v1",
+  schema: "vereinsapp.schema",
+};
+
+const DB_NAME = "vereinsapp";
+const STORE = "data";
+
+const cache = new Map();
+const queued = new Map();
+const listeners = new Set();
+let db = null;
+let flushTimer = null;
+let writeError = null;
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openDb() {
+  const req = indexedDB.open(DB_NAME, 1);
+  req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+  return request(req);
+}
+
+function readLocalStorage() {
+  const found = new Map();
+  for (const key of Object.values(KEYS)) {
+    try {
+      const raw = localStorage.getItem(key);
+      if (raw) found.set(key, JSON.parse(raw));
+    } catch {
+      // unlesbarer Eintrag: wie bisher ignorieren
+    }
+  }
+  return found;
+}
+
+function setError(err) {
+  writeError = err ? err.message || String(err) : null;
+  for (const fn of listeners) fn(writeError);
+}
+
+// Einmal vor dem ersten Rendern aufrufen
+export async function initStorage() {
+  try {
+    db = await openDb();
+    const tx = db.transaction(STORE, "readonly");
+    const store = tx.objectStore(STORE);
+    const [keys, values] = await Promise.all([request(store.getAllKeys()), request(store.getAll())]);
+    keys.forEach((key, i) => cache.set(key, values[i]));
+
+    // erster Start nach der Umstellung: Daten aus localStorage übernehmen
+    if (!keys.length) {
+      const old = readLocalStorage();
+      if (old.size) {
+        const write = db.transaction(STORE, "readwrite");
+        for (const [key, value] of old) {
+          cache.set(key, value);
+          write.objectStore(STORE).put(value, key);
+        }
+        await new Promise((resolve, reject) => {
+          write.oncomplete = resolve;
+          write.onerror = () => reject(write.error);
+          write.onabort = () => reject(write.error);
+        });
+        for (const key of old.keys()) localStorage.removeItem(key);
+      }
+    }
+  } catch {
+    db = null;
+    cache.clear();
+    for (const [key, value] of readLocalStorage()) cache.set(key, value);
+  }
+  // Tab schließen oder App in den Hintergrund: Wartendes sofort schreiben,
+  // sonst ginge ein gerade eingetragenes Ergebnis evtl. verloren
+  window.addEventListener("pagehide", flushNow);
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") flushNow();
+  });
+  requestPersistence();
+}
+
+function flush() {
+  flushTimer = null;
+  const entries = [...queued];
+  queued.clear();
+  try {
+    const tx = db.transaction(STORE, "readwrite");
+    const store = tx.objectStore(STORE);
+    for (const [key, value] of entries) {
+      if (value === null || value === undefined) store.delete(key);
+      else store.put(value, key);
+    }
+    tx.oncomplete = () => writeError && setError(null);
+    tx.onerror = () => setError(tx.error);
+    tx.onabort = () => setError(tx.error);
+    tx.commit?.();
+  } catch (err) {
+    setError(err);
+  }
+}
+
+function flushNow() {
+  if (!flushTimer) return;
+  clearTimeout(flushTimer);
+  flush();
+}
+
+export function loadJSON(key, fallback) {
+  return cache.has(key) ? cache.get(key) : fallback;
+}
+
+export function saveJSON(key, value) {
+  if (value === null || value === undefined) cache.delete(key);
+  else cache.set(key, value);
+
+  if (db) {
+    queued.set(key, value);
+    if (!flushTimer) flushTimer = setTimeout(flush, 0);
+    return;
+  }
+  try {
+    if (value === null || value === undefined) localStorage.removeItem(key);
+    else localStorage.setItem(key, JSON.stringify(value));
+    if (writeError) setError(null);
+  } catch (err) {
+    setError(err);
+  }
+}
+
+// Browser bitten, die Daten nicht bei Speicherknappheit zu löschen
+export async function requestPersistence() {
+  try {
+    if (!navigator.storage?.persist) return false;
+    if (await navigator.storage.persisted()) return true;
+    return await navigator.storage.persist();
+  } catch {
+    return false;
+  }
+}
+
+// { backend, usage, quota, persisted, error } – usage/quota in Bytes oder null
+export async function storageInfo() {
+  const info = { backend: db ? "indexeddb" : "localstorage", usage: null, quota: null, persisted: false, error: writeError };
+  try {
+    if (navigator.storage?.estimate) {
+      const { usage, quota } = await navigator.storage.estimate();
+      info.usage = usage ?? null;
+      info.quota = quota ?? null;
+    }
+    if (navigator.storage?.persisted) info.persisted = await navigator.storage.persisted();
+  } catch {
+    // ohne Storage-API bleibt es bei den Standardwerten
+  }
+  return info;
+}
+
+// Rückruf bei fehlgeschlagenem (message) oder wieder gelungenem (null) Speichern
+export function onStorageError(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
@@ -0,0 +1,90 @@
+// Abgleich mehrerer Geräte: die Daten werden in einzelne Datensätze zerlegt,
+// damit zwei Geräte gleichzeitig verschiedene Ergebnisse eintragen können.
+// Schlüssel: "players:<id>", "completed:<id>", "ratingLog:<id>",
+// "attendance:<id>", "seasons:<id>", "session" (ohne Begegnungen) und
+// "match:<sessionId>:<id>" je Begegnung der laufenden Session.
+
+import { sideName } from "./doubles.js";
+
+export const SYNC_COLLECTIONS = ["players", "completed", "ratingLog", "attendance", "seasons"];
+
+export function toRecords(data) {
+  const records = new Map();
+  for (const coll of SYNC_COLLECTIONS) {
+    for (const item of data[coll] ?? []) records.set(`${coll}:${item.id}`, item);
+  }
+  if (data.session) {
+    const { matches, ...meta } = data.session;
+    records.set("session", meta);
+    for (const m of matches ?? []) records.set(`match:${meta.id}:${m.id}`, m);
+  }
+  return records;
+}
+
+export function fromRecords(records) {
+  const data = Object.fromEntries(SYNC_COLLECTIONS.map((coll) => [coll, []]));
+  const meta = records.get("session") ?? null;
+  const matches = [];
+  for (const [key, value] of records) {
+    if (value === null || value === undefined) continue;
+    const coll = key.slice(0, key.indexOf(":"));
+    if (data[coll]) data[coll].push(value);
+    else if (meta && key.startsWith(`match:${meta.id}:`)) matches.push(value);
+  }
+  data.session = meta ? { ...meta, matches } : null;
+  return data;
+}
+
+// Neue Begegnungen, Spieltage und TTR-Einträge hängen an der Rangliste: der
+// Server nimmt sie nur zusammen mit dem aktuellen Session-Datensatz an
+// (siehe server/sync-server.js)
+export function needsSession(key, value) {
+  return value !== null && value !== undefined && (key.startsWith("match:") || Boolean(value.sessionId));
+}
+
+export function sameValue(a, b) {
+  return a === b || JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Fremde Änderungen ([key, value], null = gelöscht) in einen Datenstand oder
+// einen Teil davon einspielen, z.B. { players } oder die Stände der Rückgängig-Liste
+export function applyChanges(data, changes) {
+  const records = toRecords(data);
+  for (const [key, value] of changes) {
+    if (value === null) records.delete(key);
+    else records.set(key, value);
+  }
+  const next = fromRecords(records);
+  // unberührte Teile bleiben dieselben Objekte (die Stände fürs Rückgängig teilen sie sich)
+  const touched = touchedParts(changes);
+  return Object.fromEntries(Object.keys(data).map((k) => [k, touched.has(k) && k in next ? next[k] : data[k]]));
+}
+
+// Welche Teile (players, session, …) betreffen die Änderungen?
+export function touchedParts(changes) {
+  const parts = new Set();
+  for (const [key] of changes) {
+    const coll = key.includes(":") ? key.slice(0, key.indexOf(":")) : key;
+    parts.add(coll === "match" ? "session" : coll);
+  }
+  return parts;
+}
+
+// Hinweistext, wenn die eigene Eingabe verworfen wurde; null = nicht erwähnenswert
+// (z.B. nur eine andere Tischzuteilung)
+export function describeConflict(key, mine, theirs, nameById, by) {
+  const who = by ? ` von ${by}` : " auf einem anderen Gerät";
+  if (key === "session") {
+    return `Die Rangliste wurde${who} gleichzeitig geändert (z.B. ausgelost oder abgeschlossen), deine Änderung wurde verworfen.`;
+  }
+  if (key.startsWith("match:")) {
+    if (theirs === null) return `Die Runde wurde${who} anders ausgelost, deine Paarungen wurden verworfen.`;
+    const score = (m) => (m?.scoreA === null || m?.scoreA === undefined ? "kein Ergebnis" : `${m.scoreA}:${m.scoreB}`);
+    if (score(mine) === score(theirs)) return null;
+    const m = theirs ?? mine;
+    const names = `${sideName(m, "a", nameById)} – ${sideName(m, "b", nameById)}`;
+    return `${names}: wurde${who} schon als ${score(theirs)} eingetragen, deine Eingabe ${score(mine)} wurde verworfen.`;
+  }
+  const name = (theirs ?? mine)?.name;
+  return `${name ? `„${name}“` : "Ein Eintrag"} wurde${who} gleichzeitig geändert, deine Änderung wurde verworfen.`;
+}
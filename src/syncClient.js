@@ -0,0 +1,216 @@
+// Verbindung zum Vereinsserver (server/sync-server.js) per WebSocket.
+//
+// Jeder Datensatz hat auf dem Server eine Revision. Das Gerät schickt
+// Änderungen mit der Revision, auf der sie beruhen; passt die nicht mehr
+// (jemand anderes war schneller), gilt die Server-Fassung und das Gerät
+// bekommt einen Konflikt gemeldet.
+// Gespeichert wird je Datensatz nur Revision und Prüfsumme des letzten
+// Server-Stands. Was lokal davon abweicht, wird beim Verbinden nachgereicht –
+// auch nach einem Neuladen oder wenn zwischendurch getrennt war.
+
+import { KEYS, loadJSON, saveJSON } from "./storage.js";
+import { needsSession, sameValue, toRecords } from "./sync.js";
+
+const RETRY_MAX_MS = 30000;
+
+function checksum(value) {
+  const s = JSON.stringify(value ?? null);
+  let h = 5381;
+  for (let i = 0; i < s.length; i++) h = ((h << 5) + h + s.charCodeAt(i)) | 0;
+  return h;
+}
+
+// data = aktueller Datenstand; Rückrufe:
+// onRemote(changes) – fremde Änderungen [key, value] übernehmen
+// onConflict(key, mine, theirs, by) – eigene Änderung wurde verworfen
+// onStatus({ state, pending }) – "connecting" | "online" | "offline" | "denied"
+// (Zugangscode falsch, es wird nicht weiter versucht)
+export function createSyncClient({ url, code, by, data, onRemote, onConflict, onStatus }) {
+  const stored = loadJSON(KEYS.syncState, null);
+  const fresh = stored?.url !== url;
+  let epoch = fresh ? null : stored.epoch;
+  // letzter bekannter Server-Stand: key → { rev, sum }
+  const server = new Map(fresh ? [] : Object.entries(stored.records ?? {}).map(([k, [rev, sum]]) => [k, { rev, sum }]));
+  // vorgemerkt: key → { baseRev, inFlight }
+  const pending = new Map();
+  let known = toRecords(data);
+  let socket = null;
+  let online = false;
+  let closed = false;
+  let denied = false;
+  let retry = 1000;
+  let timer = null;
+
+  function status() {
+    const state = denied ? "denied" : online ? "online" : socket ? "connecting" : "offline";
+    onStatus({ state, pending: pending.size });
+  }
+
+  function persist() {
+    saveJSON(KEYS.syncState, {
+      url,
+      epoch,
+      records: Object.fromEntries([...server].map(([key, s]) => [key, [s.rev, s.sum]])),
+    });
+    status();
+  }
+
+  function mark(key) {
+    if (!pending.has(key)) pending.set(key, { baseRev: server.get(key)?.rev ?? 0, inFlight: false });
+  }
+
+  function remember(key, rev, value) {
+    server.set(key, { rev, sum: checksum(value) });
+  }
+
+  // alles, was vom letzten Server-Stand abweicht
+  function markChanged() {
+    for (const [key, value] of known) if (server.get(key)?.sum !== checksum(value)) mark(key);
+    for (const [key, s] of server) if (!known.has(key) && s.sum !== checksum(null)) mark(key);
+  }
+
+  // neuer Begegnungs-, Spieltags- oder TTR-Datensatz, den es auf dem Server noch nicht gibt
+  function creates(key) {
+    return needsSession(key, known.get(key)) && (server.get(key)?.sum ?? checksum(null)) === checksum(null);
+  }
+
+  // je Datensatz ist höchstens eine Änderung unterwegs. Neue Begegnungen usw.
+  // gehen nur zusammen mit dem Session-Datensatz raus; ist der gerade
+  // unterwegs, warten sie auf dessen Antwort.
+  function flush() {
+    if (!online) return;
+    const waiting = [...pending].some(([key, p]) => !p.inFlight && creates(key));
+    const hold = waiting && Boolean(pending.get("session")?.inFlight);
+    if (waiting && !hold) mark("session");
+    const changes = [];
+    for (const [key, p] of pending) {
+      if (p.inFlight || (hold && creates(key))) continue;
+      p.inFlight = true;
+      changes.push({ key, value: known.get(key) ?? null, baseRev: p.baseRev });
+    }
+    if (changes.length) socket.send(JSON.stringify({ type: "push", changes }));
+  }
+
+  // Eigene vorgemerkte Änderungen gehen vor; der Server entscheidet dann
+  function applyRemote(changes) {
+    const apply = changes.filter((c) => !pending.has(c.key));
+    for (const c of changes) remember(c.key, c.rev, c.value);
+    for (const c of apply) {
+      if (c.value === null) known.delete(c.key);
+      else known.set(c.key, c.value);
+    }
+    if (apply.length) onRemote(apply.map((c) => [c.key, c.value]));
+  }
+
+  function receive(message) {
+    if (message.type === "denied") {
+      denied = true;
+      closed = true;
+      socket?.close();
+    } else if (message.type === "welcome") {
+      // neuer oder zurückgesetzter Server: alles Eigene hochladen
+      if (message.epoch !== epoch) {
+        epoch = message.epoch;
+        server.clear();
+        pending.clear();
+      }
+      for (const p of pending.values()) p.inFlight = false;
+      markChanged();
+      applyRemote(message.changes);
+      flush();
+    } else if (message.type === "update") {
+      applyRemote(message.changes);
+    } else if (message.type === "ack") {
+      remember(message.key, message.rev, message.value);
+      const p = pending.get(message.key);
+      if (p && sameValue(known.get(message.key) ?? null, message.value)) pending.delete(message.key);
+      else if (p) {
+        // inzwischen weiter geändert: auf der neuen Revision nachschicken
+        p.baseRev = message.rev;
+        p.inFlight = false;
+      }
+      flush();
+    } else if (message.type === "conflict") {
+      const mine = known.get(message.key) ?? null;
+      const baseRev = pending.get(message.key)?.baseRev ?? 0;
+      remember(message.key, message.rev, message.value);
+      pending.delete(message.key);
+      if (message.value === null) known.delete(message.key);
+      else known.set(message.key, message.value);
+      const changes = [[message.key, message.value]];
+      // was noch auf die verworfene Fassung der Rangliste gewartet hat, gilt auch nicht mehr
+      if (message.key === "session") {
+        for (const [key, p] of pending) {
+          if (p.inFlight || !creates(key)) continue;
+          pending.delete(key);
+          known.delete(key);
+          changes.push([key, null]);
+        }
+      }
+      onRemote(changes);
+      // beim ersten Abgleich eines Geräts gewinnt still der Server, außer bei Ergebnissen
+      if (baseRev > 0 || message.key.startsWith("match:")) onConflict(message.key, mine, message.value, message.by);
+    }
+    persist();
+  }
+
+  function connect() {
+    if (closed) return;
+    try {
+      socket = new WebSocket(url);
+    } catch {
+      socket = null;
+      persist();
+      return;
+    }
+    persist();
+    socket.onopen = () => {
+      online = true;
+      retry = 1000;
+      const since = Math.max(0, ...[...server.values()].map((s) => s.rev));
+      socket.send(JSON.stringify({ type: "hello", epoch, since, by, code }));
+      persist();
+    };
+    socket.onmessage = (e) => {
+      try {
+        receive(JSON.parse(e.data));
+      } catch {
+        // kaputte Nachricht: ignorieren, beim nächsten Verbinden wird neu abgeglichen
+      }
+    };
+    socket.onclose = () => {
+      online = false;
+      socket = null;
+      for (const p of pending.values()) p.inFlight = false;
+      persist();
+      if (!closed) {
+        timer = setTimeout(connect, retry);
+        retry = Math.min(retry * 2, RETRY_MAX_MS);
+      }
+    };
+  }
+
+  connect();
+
+  return {
+    // nach jeder lokalen Änderung mit dem ganzen Datenstand aufrufen
+    update(next) {
+      const records = toRecords(next);
+      for (const [key, value] of records) if (!sameValue(known.get(key), value)) mark(key);
+      for (const key of known.keys()) if (!records.has(key)) mark(key);
+      known = records;
+      flush();
+      status();
+    },
+    // neuer Name des Bearbeiters, damit andere Geräte sehen, wer geändert hat
+    setBy(next) {
+      by = next;
+      if (online) socket.send(JSON.stringify({ type: "by", by }));
+    },
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      socket?.close();
+    },
+  };
+}
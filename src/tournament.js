@@ -0,0 +1,181 @@
+// Turniermodus: Gruppenphase (Jeder gegen Jeden) und anschließende KO-Runde
+
+import { bergerSchedule } from "./pairing.js";
+import { roundRobinRounds } from "./rules.js";
+import { computeStandings } from "./standings.js";
+
+const GROUP_NAMES = "ABCDEFGHIJKLMNOP";
+
+export function nextPowerOfTwo(n) {
+  let p = 1;
+  while (p < n) p *= 2;
+  return p;
+}
+
+export function koRoundCount(qualifierCount) {
+  return Math.log2(nextPowerOfTwo(Math.max(2, qualifierCount)));
+}
+
+export function koRoundName(koRound, koRounds) {
+  const remaining = 2 ** (koRounds - koRound + 1);
+  if (remaining === 2) return "Finale";
+  if (remaining === 4) return "Halbfinale";
+  if (remaining === 8) return "Viertelfinale";
+  if (remaining === 16) return "Achtelfinale";
+  return `KO-Runde ${koRound}`;
+}
+
+// Liefert eine Fehlermeldung, wenn die Einstellungen nicht zur Teilnehmerzahl passen
+export function validateTournament(playerCount, groupCount, qualifiers) {
+  if (groupCount < 1) return "Mindestens eine Gruppe.";
+  if (playerCount < groupCount * 2) return "Jede Gruppe braucht mindestens 2 Spieler.";
+  const smallest = Math.floor(playerCount / groupCount);
+  if (qualifiers > smallest) return `Pro Gruppe können höchstens ${smallest} weiterkommen.`;
+  if (groupCount * qualifiers < 2) return "Für die KO-Runde müssen mindestens 2 weiterkommen.";
+  return null;
+}
+
+// Gruppen nach TTR gesetzt, Schlangenlinie: A B C C B A A B C ...
+export function seedGroups(players, groupCount) {
+  const seeded = [...players].sort(
+    (a, b) => (b.ttr ?? 0) - (a.ttr ?? 0) || a.name.localeCompare(b.name, "de")
+  );
+  const groups = Array.from({ length: groupCount }, (_, i) => ({
+    id: GROUP_NAMES[i] ?? String(i + 1),
+    name: `Gruppe ${GROUP_NAMES[i] ?? i + 1}`,
+    playerIds: [],
+  }));
+  seeded.forEach((p, i) => {
+    const line = Math.floor(i / groupCount);
+    const pos = i % groupCount;
+    groups[line % 2 === 0 ? pos : groupCount - 1 - pos].playerIds.push(p.id);
+  });
+  return groups;
+}
+
+// Spielplan der Gruppenphase: Runde r enthält die r-te Berger-Runde jeder Gruppe
+export function groupStageSchedule(groups) {
+  const perGroup = groups.map((g) => bergerSchedule(g.playerIds));
+  const rounds = Math.max(0, ...groups.map((g) => roundRobinRounds(g.playerIds.length)));
+  const schedule = [];
+  for (let r = 0; r < rounds; r++) {
+    const pairs = [];
+    groups.forEach((g, gi) => {
+      for (const pair of perGroup[gi][r] ?? []) pairs.push({ group: g.id, pair });
+    });
+    schedule.push(pairs);
+  }
+  return schedule;
+}
+
+// Spielfrei in der Gruppe bringt keine Punkte, sonst wären Gruppen
+// unterschiedlicher Größe nicht vergleichbar
+export function groupTables(session, rules) {
+  const byId = new Map(session.players.map((p) => [p.id, p]));
+  return (session.groups ?? []).map((g) => ({
+    ...g,
+    rows: computeStandings(
+      g.playerIds.map((id) => byId.get(id)).filter(Boolean),
+      (session.matches ?? []).filter((m) => m.group === g.id && !m.byeId),
+      rules
+    ),
+  }));
+}
+
+export function matchWinner(m) {
+  if (m.byeId) return m.byeId;
+  if (m.scoreA === null || m.scoreB === null) return null;
+  return m.scoreA > m.scoreB ? m.aId : m.bId;
+}
+
+// Setzpositionen im Baum, z.B. 8 -> [1, 8, 4, 5, 2, 7, 3, 6]
+function bracketPositions(size) {
+  let pos = [1];
+  while (pos.length < size) {
+    const n = pos.length * 2;
+    pos = pos.flatMap((x) => [x, n + 1 - x]);
+  }
+  return pos;
+}
+
+function rowOrder(x, y) {
+  if (y.points !== x.points) return y.points - x.points;
+  const sdX = x.setsWon - x.setsLost;
+  const sdY = y.setsWon - y.setsLost;
+  if (sdY !== sdX) return sdY - sdX;
+  return y.setsWon - x.setsWon;
+}
+
+// Erste KO-Runde aus den Gruppentabellen: erst alle Gruppensieger, dann alle
+// Zweiten usw. Überzählige Plätze bis zur nächsten Zweierpotenz sind Freilose
+// für die besten Gesetzten. Paarungen aus derselben Gruppe werden, wenn möglich,
+// durch Tausch der jeweils schlechter Gesetzten aufgelöst.
+export function firstKoPairs(tables, qualifiers) {
+  const seeds = [];
+  for (let place = 0; place < qualifiers; place++) {
+    const tier = tables
+      .map((t) => (t.rows[place] ? { ...t.rows[place], group: t.id } : null))
+      .filter(Boolean);
+    tier.sort(rowOrder);
+    seeds.push(...tier);
+  }
+
+  const size = nextPowerOfTwo(seeds.length);
+  const slots = bracketPositions(size).map((s) => seeds[s - 1] ?? null);
+  const pairs = [];
+  for (let i = 0; i < slots.length; i += 2) pairs.push([slots[i], slots[i + 1]]);
+
+  const sameGroup = (p) => p[0] && p[1] && p[0].group === p[1].group;
+  for (let i = 0; i < pairs.length; i++) {
+    if (!sameGroup(pairs[i])) continue;
+    for (let j = 0; j < pairs.length; j++) {
+      if (i === j || !pairs[j][1]) continue;
+      const a = [pairs[i][0], pairs[j][1]];
+      const b = [pairs[j][0], pairs[i][1]];
+      if (!sameGroup(a) && !sameGroup(b)) {
+        pairs[i] = a;
+        pairs[j] = b;
+        break;
+      }
+    }
+  }
+
+  return pairs.map(([a, b]) => [a?.id ?? null, b?.id ?? null]);
+}
+
+// Folgerunde: Sieger von Slot 0/1, 2/3, ... treffen aufeinander
+export function nextKoPairs(prevRoundMatches) {
+  const sorted = [...prevRoundMatches].sort((x, y) => x.slot - y.slot);
+  const pairs = [];
+  for (let i = 0; i < sorted.length; i += 2) {
+    pairs.push([matchWinner(sorted[i]), sorted[i + 1] ? matchWinner(sorted[i + 1]) : null]);
+  }
+  return pairs;
+}
+
+// Endstand eines Turniers: zuerst nach erreichter KO-Runde (Sieger ganz oben),
+// innerhalb gleicher Stufe nach Punkten/Sätzen aller Spiele.
+// Freilose (Gruppe und KO) bringen keine Punkte.
+export function tournamentStandings(session, rules) {
+  const matches = (session.matches ?? []).filter((m) => !m.byeId);
+  const rows = computeStandings(session.players, matches, rules);
+  const koRounds = session.koRounds ?? 0;
+
+  const level = new Map();
+  const reach = (id, v) => level.set(id, Math.max(level.get(id) ?? 0, v));
+  for (const m of session.matches ?? []) {
+    if (m.stage !== "ko") continue;
+    if (m.byeId) {
+      reach(m.byeId, m.koRound);
+      continue;
+    }
+    reach(m.aId, m.koRound);
+    reach(m.bId, m.koRound);
+    if (m.koRound === koRounds) {
+      const w = matchWinner(m);
+      if (w) reach(w, koRounds + 1);
+    }
+  }
+
+  return [...rows].sort((x, y) => (level.get(y.id) ?? 0) - (level.get(x.id) ?? 0));
+}
@@ -0,0 +1,11 @@
+// Kleine Hilfsfunktionen, die mehrere Module brauchen
+
+// Änderung mit Vorzeichen, z.B. "+8" oder "-3"
+export function signed(n) {
+  return `${n >= 0 ? "+" : ""}${n}`;
+}
+
+// IDs für Spieler, Spieltage, Begegnungen usw.
+export function uid() {
+  return crypto?.randomUUID?.() ?? String(Date.now() + Math.random());
+}